@@ -68,6 +68,7 @@ class AnalyticsManager {
     this._reportData = {
       gameId: '',
       sessionId: '',
+      sessionType: 'normal',
       timestamp: '',
       name: '',
       xpEarnedTotal: 0,
@@ -109,6 +110,7 @@ class AnalyticsManager {
     this._reportData.gameId = gameId;
     this._reportData.name = sessionName;
     this._reportData.sessionId = this._sessionId;
+    this._reportData.sessionType = 'normal';
     this._reportData.diagnostics.levels = [];
     this._reportData.rawData = [];
     this._reportData.perLevelAnalytics = {};
@@ -123,6 +125,14 @@ class AnalyticsManager {
     console.log(`[Analytics] Initialized for: ${gameId}`);
   }
   
+  /**
+   * Set what kind of play the report covers, so modes can be told apart
+   * @param {string} sessionType - 'normal' for the puzzle sequence, 'time_attack' for a time attack run
+   */
+  setSessionType(sessionType) {
+    this._reportData.sessionType = sessionType;
+  }
+  
   /**
    * Add a generic metric (FPS, Latency, etc)
    * @param {string} key - Metric name
@@ -301,6 +311,7 @@ class AnalyticsManager {
     const payload = {
       gameId: this._reportData.gameId,
       sessionId: this._reportData.sessionId,
+      sessionType: this._reportData.sessionType,
       timestamp: new Date().toISOString(),
       name: this._reportData.name,
       xpEarnedTotal: this._reportData.xpEarnedTotal,
@@ -324,6 +335,7 @@ class AnalyticsManager {
     console.log('Game ID:', payload.gameId);
     console.log('Session:', payload.name);
     console.log('Session ID:', payload.sessionId);
+    console.log('Session Type:', payload.sessionType);
     console.log('Total XP:', payload.xpEarnedTotal);
     console.log('Last Played Level:', payload.lastPlayedLevel);
     console.log('Highest Level Played:', payload.highestLevelPlayed);
@@ -423,6 +435,7 @@ class AnalyticsManager {
     return {
       gameId: this._reportData.gameId,
       sessionId: this._reportData.sessionId,
+      sessionType: this._reportData.sessionType,
       timestamp: new Date().toISOString(),
       name: this._reportData.name,
       xpEarnedTotal: this._reportData.xpEarnedTotal,
@@ -29,6 +29,9 @@ class ProgressManager {
     this.highestLevelPlayed = null;
     this.initialized = false;
     this.backendPayload = null;
+    this.dailyStreak = 0;
+    this.totalStars = 0;
+    this.packLevels = {};
     
     // Session tracking for payload
     this.sessionStats = {
@@ -65,6 +68,9 @@ class ProgressManager {
         this.sessionStats.totalXp = backendPayload.totalXp || 0;
         this.sessionStats.totalPlayTime = backendPayload.totalPlayTime || 0;
         this.sessionStats.sessionsCount = (backendPayload.sessionsCount || 0) + 1;
+        if (backendPayload.packLevels && typeof backendPayload.packLevels === 'object') {
+          this.packLevels = { ...backendPayload.packLevels };
+        }
       }
 
       // Get level from backend payload
@@ -156,6 +162,81 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Handle completion of the daily puzzle, which is no step in the level
+   * sequence, so it leaves highestLevelPlayed alone
+   * @param {number} streak - Days in a row the daily has been cleaned
+   * @param {Object} levelData - Additional level data (xp, time, etc.)
+   * @returns {Promise<boolean>}
+   */
+  async handleDailyComplete(streak, levelData = {}) {
+    console.log(`[ProgressManager] Daily completed, streak ${streak}`);
+    this.setDailyStreak(streak);
+    if (levelData.xp) {
+      this.sessionStats.totalXp += levelData.xp;
+    }
+    if (levelData.timeTaken) {
+      this.sessionStats.totalPlayTime += levelData.timeTaken;
+    }
+    return true;
+  }
+
+  /**
+   * Handle completion of a level in a puzzle pack. Every pack keeps its
+   * own highest level in packLevels, highestLevelPlayed is for the main game
+   * @param {string} packId - Id of the pack being played
+   * @param {number} completedLevel - Level index in the pack that was completed
+   * @param {Object} levelData - Additional level data (xp, time, etc.)
+   * @returns {Promise<boolean>}
+   */
+  async handlePackLevelComplete(packId, completedLevel, levelData = {}) {
+    console.log(`[ProgressManager] Pack ${packId} level ${completedLevel} completed`);
+
+    const validation = this.validator.validateLevel(completedLevel);
+    if (!validation || !validation.valid) {
+      console.error('[ProgressManager] Invalid completed level:', validation?.reason);
+      return false;
+    }
+
+    const nextLevel = validation.value + 1;
+    if (!(this.packLevels[packId] >= nextLevel)) {
+      this.packLevels[packId] = nextLevel;
+    }
+    if (levelData.xp) {
+      this.sessionStats.totalXp += levelData.xp;
+    }
+    if (levelData.timeTaken) {
+      this.sessionStats.totalPlayTime += levelData.timeTaken;
+    }
+    return true;
+  }
+
+  /**
+   * Set the daily streak reported in the payload
+   * @param {number} streak - Days in a row the daily has been cleaned
+   */
+  setDailyStreak(streak) {
+    this.dailyStreak = Number.isInteger(streak) && streak > 0 ? streak : 0;
+  }
+
+  /**
+   * Set the total stars reported in the payload
+   * @param {number} stars - Best star ratings of all puzzles, added up
+   */
+  setTotalStars(stars) {
+    this.totalStars = Number.isInteger(stars) && stars > 0 ? stars : 0;
+  }
+
+  /**
+   * Level to start a pack at, the one after its highest completed level
+   * @param {string} packId - Id of the pack being opened
+   * @returns {number} 0 for a pack that hasn't been played
+   */
+  getPackLevel(packId) {
+    const level = this.packLevels[packId];
+    return Number.isInteger(level) && level > 0 ? level : 0;
+  }
+
   /**
    * Get the current progress payload in the expected format
    * @returns {Object} Progress payload
@@ -168,6 +249,9 @@ class ProgressManager {
       totalXp: this.sessionStats.totalXp,
       totalPlayTime: this.sessionStats.totalPlayTime,
       sessionsCount: this.sessionStats.sessionsCount,
+      dailyStreak: this.dailyStreak,
+      totalStars: this.totalStars,
+      packLevels: { ...this.packLevels },
     };
   }
 
@@ -1,5 +1,12 @@
 import gameSystem from './systems/game.js';
 import dataSystem from './systems/data.js';
+import entitySystem from './systems/entity.js';
+import shareSystem from './systems/share.js';
+import dailySystem from './systems/daily.js';
+import starsSystem from './systems/stars.js';
+import timeAttackSystem from './systems/timeattack.js';
+import gamepadSystem from './systems/gamepad.js';
+import packSystem from './systems/packs.js';
 import AnalyticsManager from './AnalyticsManager.js';
 import ProgressManager from './ProgressManager.js';
 
@@ -26,16 +33,90 @@ const BACKEND_PAYLOAD = window.BACKEND_PAYLOAD || {
   sessionsCount: 0
 };
 
+// TV hosts can lay out controller buttons their own way, as lists of
+// standard gamepad button indexes by action, e.g. { tap: [0, 9] }
+if (window.GAMEPAD_BUTTONS) {
+  gamepadSystem.map(entities.game, window.GAMEPAD_BUTTONS);
+}
+
+// Designers open the level editor with #edit at the end of the url
+if (window.location.hash === '#edit') {
+  entities.game.statemachine.active = ['editmode'];
+}
+
+// Shows screen, one of the error screens, with the reason on its empty
+// line. Nothing to show without a reason
+const showError = (screen, reason) => {
+  if (!reason) {
+    return;
+  }
+  entities[screen].puzzle.text[1] = reason;
+  entities.level.state.updates = [screen];
+};
+
+// #p=<code> plays a shared puzzle once, instead of the sequence entry
+const playShared = () => {
+  const match = window.location.hash.match(/^#p=(.*)$/);
+  if (match === null) {
+    return;
+  }
+  const result = shareSystem.decode(match[1]);
+  if (!result.valid) {
+    console.warn('[Game] Bad puzzle code:', result.reason);
+    showError('badcode', result.reason);
+    return;
+  }
+  const shared = entitySystem.add(entities, 'shared', 'puzzle');
+  // codes without a name go by a neutral one, not the one of the puzzle
+  // the sequence is at
+  Object.assign(shared.puzzle, {name: 'shared puzzle'}, result.puzzle, {init: true, oneOff: true});
+  // a puzzle with text is a screen, not a board
+  delete shared.puzzle.text;
+  entities.level.state.updates = ['shared'];
+};
+
+// A puzzle pack replaces the regular sequence. The host can hand one over
+// as window.PUZZLE_PACK (the pack itself, a File or a url), or the url can
+// name one with #pack=<bundled pack id or url>. Resolves to why it failed.
+const loadPack = async () => {
+  const match = window.location.hash.match(/^#pack=(.*)$/);
+  if (!window.PUZZLE_PACK && match === null) {
+    return '';
+  }
+  try {
+    // a broken hash throws here too, so it ends up on the error screen
+    const source = window.PUZZLE_PACK || decodeURIComponent(match[1]);
+    packSystem.merge(entities, await packSystem.load(source));
+    console.log('[Game] Puzzle pack loaded:', entities.game.levels.pack);
+    return '';
+  } catch (error) {
+    console.warn('[Game] Puzzle pack not loaded:', error.message);
+    return error.message;
+  }
+};
+
+// #time runs every puzzle against the clock instead
+const playTimeAttack = () => {
+  if (window.location.hash === '#time') {
+    timeAttackSystem.start(entities);
+  }
+};
+
 // Initialize progress manager with backend payload and start game
 (async function initializeGame() {
+  // The pack comes first, which level to start at depends on it
+  const packError = await loadPack();
+  const levels = entities.game.levels;
+  
   try {
     // Initialize progress
     const result = await progressManager.initialize(BACKEND_PAYLOAD);
     console.log('[Game] Progress initialized:', result);
     
-    // Load current level from progress or local storage
-    let current = result.startLevel;
-    const localCurrent = dataSystem.load('current');
+    // Load current level from progress or local storage, packs have
+    // their own in the payload
+    let current = levels.pack ? progressManager.getPackLevel(levels.pack) : result.startLevel;
+    const localCurrent = dataSystem.load(packSystem.key(levels, 'current'));
     
     // Use the higher of saved progress or local storage
     if (localCurrent !== undefined && localCurrent > current) {
@@ -55,9 +136,17 @@ const BACKEND_PAYLOAD = window.BACKEND_PAYLOAD || {
       }
     }
     
+    // The daily streak and stars live in local data, the payload reports them
+    progressManager.setDailyStreak(dailySystem.streak());
+    progressManager.setTotalStars(starsSystem.total());
+    
     // Make progress manager available globally
     window.progressManager = progressManager;
     
+    showError('badpack', packError);
+    playShared();
+    playTimeAttack();
+    
     // Start the game
     gameSystem.setup(entities);
     
@@ -65,7 +154,7 @@ const BACKEND_PAYLOAD = window.BACKEND_PAYLOAD || {
     console.error('[Game] Failed to initialize:', error);
     
     // Fallback: just start the game normally
-    let current = dataSystem.load('current');
+    let current = dataSystem.load(packSystem.key(levels, 'current'));
     if (current !== undefined) {
       entities.game.levels.current = current;
       let sequence = (
@@ -75,6 +164,9 @@ const BACKEND_PAYLOAD = window.BACKEND_PAYLOAD || {
       entities.level.state.updates = [puzzleId];
     }
     
+    showError('badpack', packError);
+    playShared();
+    playTimeAttack();
     gameSystem.setup(entities);
   }
 })();
@@ -0,0 +1,77 @@
+import entitySystem from './entity.js';
+import rules from './rules.js';
+import layoutSystem from './layout.js';
+
+/*
+ * board entities
+ *
+ * Every tile i of a board gets a 'piece' + i entity for the piece on it
+ * and a 'top' + i entity that pieces pushed into it slide over. The
+ * puzzle and the editor both lay out their boards with these.
+ */
+
+// components of the piece entity for each key
+let pieces = rules.names.map(name => (name)
+    ? ['position', 'tile', 'size', 'home', name]
+    : ['position', 'tile', 'size', 'home']
+);
+
+let fitTile = (entity, x, y, layout) => {
+    entity.position.x = entity.home.x = x;
+    entity.position.y = entity.home.y = y;
+    entity.tile.scale = layout.scale;
+    entity.size.w = entity.size.h = layout.tile;
+};
+
+// size the layout and the board background to a cols by rows board
+let fit = (entities, board) => {
+    let layout = layoutSystem.fit(entities.game, board.cols, board.rows);
+    ['bgcut', 'bgout'].forEach((id, i) => {
+        entities[id].position.x = layout.x;
+        entities[id].position.y = layout.y + 2 + i * 4;
+        entities[id].size.w = layout.w;
+        entities[id].size.h = layout.h;
+    });
+    return layout;
+};
+
+// (re)build the piece and top entities of every tile on the board
+let lay = (entities, board, layout) => {
+    board.cells.forEach((p, i, cells) => {
+        let {x, y} = layoutSystem.tileAt(entities.game, i);
+        let entity = entitySystem.add(
+            entities,
+            'piece' + i,
+            ...pieces[p]
+        );
+        fitTile(entity, x, y, layout);
+        if (entity.wormhole !== undefined) {
+            entity.wormhole.pair = (cells.slice(0, i).filter(
+                key => rules.names[key] === 'wormhole'
+            ).length / 2) | 0;
+        }
+        let topentity = entitySystem.add(
+            entities,
+            'top' + i,
+            ...pieces[0]
+        );
+        fitTile(topentity, x, y, layout);
+    });
+};
+
+// ids of the piece and top entities, to draw and update
+let ids = (board) => {
+    let list = [];
+    board.cells.forEach((p, i) => {
+        list.push('piece' + i, 'top' + i);
+    });
+    return list;
+};
+
+export default Object.freeze({
+    pieces,
+    fitTile,
+    fit,
+    lay,
+    ids
+});
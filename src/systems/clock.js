@@ -0,0 +1,62 @@
+/*
+ * clock
+ *
+ * The game loop asks a clock for frames. The browser clock hands out
+ * requestAnimationFrame times, a manual clock only moves when it is told
+ * to, so tests and replays can step the game through the exact same
+ * frames every run:
+ *
+ *   let clock = clockSystem.manual();
+ *   gameSystem.setup(entities, clock);
+ *   clock.tick();      one step
+ *   clock.tick(1000);  a second in one frame
+ *
+ * However frames come in, updates run in fixed steps of step ms. What is
+ * left over between steps is handed to drawing as alpha, the way between
+ * the last two steps. Frames longer than maxFrame, after a tab switch or
+ * a breakpoint, count as maxFrame, so the game doesn't race to catch up.
+ */
+
+let step = 1000 / 60;
+let maxFrame = 250;
+
+let browser = () => ({
+    request: callback => requestAnimationFrame(callback)
+});
+
+let manual = (start = 0) => {
+    let time = start;
+    let pending = [];
+    return {
+        request: callback => {
+            pending.push(callback);
+        },
+        // run the frames that were asked for, ms later
+        tick: (ms = step) => {
+            time = time + ms;
+            let callbacks = pending;
+            pending = [];
+            callbacks.forEach(callback => callback(time));
+        },
+        now: () => time
+    };
+};
+
+// the fixed steps due after a frame of delta ms, with acc ms left over
+// from before: {steps, acc, alpha}
+let advance = (acc, delta) => {
+    acc = acc + Math.min(Math.max(delta, 0), maxFrame);
+    // steps are a fraction of a ms, leftovers that add up to one just short
+    // of it because of rounding still make a step
+    let steps = Math.floor(acc / step + 1e-9);
+    acc = Math.max(acc - steps * step, 0);
+    return {steps, acc, alpha: acc / step};
+};
+
+export default Object.freeze({
+    step,
+    maxFrame,
+    browser,
+    manual,
+    advance
+});
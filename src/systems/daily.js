@@ -0,0 +1,126 @@
+import dataSystem from './data.js';
+import share from './share.js';
+import starsSystem from './stars.js';
+import pool from '../daily.json';
+
+/*
+ * daily puzzle
+ *
+ * The board of the day is picked from a pool made ahead of time by
+ * tools/daily.mjs (generating one would hold up the game), by the date,
+ * so everyone gets the same one. Results are stored per date under 'daily'
+ * in the data system, as {moves, taps, stars, time} with time in ms.
+ */
+
+let pad = (n) => ('0' + n).slice(-2);
+
+// the local calendar date, as 2021-09-13
+let key = (date = new Date()) => date.getFullYear()
+    + '-' + pad(date.getMonth() + 1)
+    + '-' + pad(date.getDate());
+
+let dayBefore = (day) => {
+    let [y, m, d] = day.split('-').map(Number);
+    return key(new Date(y, m - 1, d - 1));
+};
+
+// days since 1970-01-01, for a local calendar date
+let number = (day) => {
+    let [y, m, d] = day.split('-').map(Number);
+    return Math.round(Date.UTC(y, m - 1, d) / 86400000);
+};
+
+let boards = {};
+
+// {grid, taps, par} of the day, the same everywhere
+let puzzle = (day) => {
+    if (boards[day] === undefined) {
+        let made = share.decode(pool[number(day) % pool.length]).puzzle;
+        // the pool boards have no taps to spare
+        boards[day] = {grid: made.grid, taps: made.taps, par: made.taps};
+    }
+    return boards[day];
+};
+
+let results = () => dataSystem.load('daily') || {};
+
+let record = (day, result) => {
+    let all = results();
+    if (all[day] === undefined) {
+        all[day] = result;
+        dataSystem.save('daily', all);
+    }
+};
+
+// days in a row with a result, up to today (or yesterday, today isn't over)
+let streak = (today = key()) => {
+    let all = results();
+    let day = (all[today] === undefined) ? dayBefore(today) : today;
+    let days = 0;
+    while (all[day] !== undefined) {
+        days = days + 1;
+        day = dayBefore(day);
+    }
+    return days;
+};
+
+let summary = (day) => {
+    let result = results()[day];
+    if (result === undefined) {
+        return [];
+    }
+    let seconds = Math.round(result.time / 1000);
+    return [
+        'Black Hole Square ' + day,
+        'Clean in ' + result.moves + '/' + result.taps + ' moves, '
+            + ((seconds / 60) | 0) + ':' + pad(seconds % 60),
+        starsSystem.show(result.stars || 0),
+        'Streak: ' + streak(day) + ((streak(day) === 1) ? ' day' : ' days')
+    ];
+};
+
+let copyLine = 'Tap to copy your result.';
+
+// fill in a daily puzzle component: today's board, or when it's been
+// cleaned already, a screen with the result
+let setup = (component, now = new Date()) => {
+    let day = key(now);
+    component.date = day;
+    if (results()[day] !== undefined) {
+        component.grid = [];
+        component.taps = '';
+        component.text = [
+            ...summary(day),
+            '',
+            copyLine,
+            '',
+            'A new one comes tomorrow.'
+        ];
+        return;
+    }
+    let today = puzzle(day);
+    component.grid = today.grid.slice();
+    component.taps = today.taps;
+    component.par = today.par;
+    delete component.text;
+};
+
+let copy = (day) => {
+    let text = summary(day).join('\n');
+    if (navigator.clipboard === undefined) {
+        return Promise.reject(new Error('No clipboard'));
+    }
+    return navigator.clipboard.writeText(text);
+};
+
+export default Object.freeze({
+    key,
+    puzzle,
+    results,
+    record,
+    streak,
+    summary,
+    setup,
+    copyLine,
+    copy
+});
@@ -1,6 +1,12 @@
 let draw = (entities, entity, ctx) => {
     ctx.globalCompositeOperation = 'destination-over';
-    let p = new Path2D('M6 288h276c3.311 0 6-2.689 6-6V6c0-3.311-2.689-6-6-6H6C2.689 0 0 2.689 0 6v276c0 3.311 2.689 6 6 6z');
+    let w = 288;
+    let h = 288;
+    if (entity.size !== undefined) {
+        w = entity.size.w;
+        h = entity.size.h;
+    }
+    let p = new Path2D('M6 ' + h + 'h' + (w - 12) + 'c3.311 0 6-2.689 6-6V6c0-3.311-2.689-6-6-6H6C2.689 0 0 2.689 0 6v' + (h - 12) + 'c0 3.311 2.689 6 6 6z');
     ctx.fillStyle = entity.bgcut.fill;
     ctx.fill(p);
 };
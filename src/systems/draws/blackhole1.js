@@ -0,0 +1,19 @@
+import blackhole from './blackhole.js';
+
+// a dot on the rim for every piece the hole still takes
+let capacity = (pieces) => (entities, entity, ctx) => {
+    blackhole.draw(entities, entity, ctx);
+    ctx.fillStyle = '#4B8495';
+    for (let k = 0; k < pieces; k++) {
+        ctx.beginPath();
+        ctx.arc(24 + (k - (pieces - 1) / 2) * 9, 36, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+};
+
+let draw = capacity(1);
+
+export default Object.freeze({
+    capacity,
+    draw
+});
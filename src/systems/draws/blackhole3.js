@@ -0,0 +1,7 @@
+import blackhole1 from './blackhole1.js';
+
+let draw = blackhole1.capacity(3);
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,14 @@
+// corner marks around the tile the keyboard is on
+let draw = (entities, entity, ctx) => {
+    if (!entity.cursor.visible) {
+        return;
+    }
+    let p = new Path2D('M2 14V2h12M34 2h12v12M46 34v12H34M14 46H2V34');
+    ctx.strokeStyle = '#f2f7f6';
+    ctx.lineWidth = 3;
+    ctx.stroke(p);
+};
+
+export default Object.freeze({
+    draw
+});
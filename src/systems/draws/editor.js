@@ -0,0 +1,43 @@
+let draw = (entities, entity, ctx) => {
+    let editor = entity.editor;
+    let layout = entities.game.layout;
+    ctx.fillStyle = ctx.strokeStyle = '#f2f7f6';
+    ctx.font = '14px monospace';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    editor.buttons.forEach(button => {
+        ctx.fillText(
+            button.label,
+            button.x + button.w / 2,
+            button.y + button.h / 2
+        );
+    });
+    ctx.textAlign = 'left';
+    ctx.fillText(editor.taps + ' moves', layout.x + 24, editor.top + 8);
+    ctx.textAlign = 'right';
+    ctx.fillText(editor.status, layout.x + layout.w, editor.top + 8);
+    // every swatch gets a faint box, the brush a bright one
+    let palette = editor.palette;
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#4B8495';
+    for (let key = 0; key < palette.count; key++) {
+        ctx.strokeRect(
+            palette.x + key * palette.size + 0.5,
+            palette.y + 0.5,
+            palette.size - 1,
+            palette.size - 1
+        );
+    }
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#f2f7f6';
+    ctx.strokeRect(
+        palette.x + editor.brush * palette.size + 1,
+        palette.y + 1,
+        palette.size - 2,
+        palette.size - 2
+    );
+};
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,19 @@
+// a question mark in a 16 by 16 ring, dimmed once the hints are used up,
+// dots while a hint is being looked for
+let draw = (entities, entity, ctx) => {
+    ctx.strokeStyle = ctx.fillStyle = (entity.hint.left > 0)
+        ? '#f2f7f6'
+        : '#4B8495';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(8, 8, 7, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 11px monospace';
+    ctx.fillText((entity.hint.searching) ? '..' : '?', 8, 9);
+};
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,16 @@
+// a pulsing outline over the tile the hint points at
+let draw = (entities, entity, ctx, time) => {
+    if (entity.hintmark.cell < 0) {
+        return;
+    }
+    let p = new Path2D('M44 12c0-3.311-2.689-6-6-6H10c-3.311 0-6 2.689-6 6v28c0 3.311 2.689 6 6 6h28c3.311 0 6-2.689 6-6V12z');
+    ctx.globalAlpha = 0.55 + Math.sin(time / 150) * 0.45;
+    ctx.strokeStyle = '#f2f7f6';
+    ctx.lineWidth = 3;
+    ctx.stroke(p);
+    ctx.globalAlpha = 1;
+};
+
+export default Object.freeze({
+    draw
+});
@@ -17,13 +17,21 @@ let drawSquare = [
     ]
 ];
 
+// a pip per star under the dot
+let drawStars = (ctx, x, stars, dot) => {
+    ctx.fillStyle = (dot > 1) ? '#F2F7F6' : '#4B8495';
+    for (let s = 0; s < stars; s++) {
+        ctx.fillRect(x + s * 3, 10, 2, 2);
+    }
+};
+
 let draw = (entities, entity, ctx) => {
     let dots = entity.progress.dots;
+    let stars = entity.progress.stars || [];
     dots.forEach((dot, i) => {
-        drawSquare[dot](
-            ctx,
-            i * 12 - dots.length * 6
-        );
+        let x = i * 12 - dots.length * 6;
+        drawSquare[dot](ctx, x);
+        drawStars(ctx, x, stars[i] || 0, dot);
     });
 };
 
@@ -0,0 +1,57 @@
+let light = '#f2f7f6';
+let dim = '#4B8495';
+
+let triangle = (ctx, x, left) => {
+    ctx.beginPath();
+    ctx.moveTo(x + (left ? 12 : 4), 2);
+    ctx.lineTo(x + (left ? 4 : 12), 8);
+    ctx.lineTo(x + (left ? 12 : 4), 14);
+    ctx.closePath();
+    ctx.fill();
+};
+
+let draw = (entities, entity, ctx) => {
+    let replay = entity.replay;
+    if (replay.solutions === 0) {
+        return;
+    }
+    if (!replay.active) {
+        // a play button in a ring, the way in
+        ctx.strokeStyle = ctx.fillStyle = light;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(8, 8, 7, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(6, 4.5);
+        ctx.lineTo(11.5, 8);
+        ctx.lineTo(6, 11.5);
+        ctx.closePath();
+        ctx.fill();
+        return;
+    }
+    // solution picker
+    ctx.fillStyle = (replay.solutions > 1) ? light : dim;
+    triangle(ctx, 0, true);
+    triangle(ctx, 64, false);
+    ctx.fillStyle = light;
+    ctx.font = '14px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText((replay.index + 1) + '/' + replay.solutions, 40, 9);
+    ctx.fillText(replay.step + '/' + replay.steps, 200, 9);
+    // play or pause, then step
+    if (replay.playing) {
+        ctx.fillRect(243, 2, 4, 12);
+        ctx.fillRect(250, 2, 4, 12);
+    } else {
+        triangle(ctx, 240, false);
+    }
+    ctx.fillStyle = (replay.step < replay.steps) ? light : dim;
+    triangle(ctx, 262, false);
+    ctx.fillRect(275, 2, 3, 12);
+};
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,29 @@
+import blanksquare from './blanksquare.js';
+
+// a circle arrow going clockwise, the way it turns its neighbours
+let end = Math.PI * 1.5 - 0.9;
+
+let draw = (entities, entity, ctx) => {
+    blanksquare.draw(entities, entity, ctx);
+    ctx.strokeStyle = '#878e88';
+    ctx.fillStyle = '#878e88';
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.arc(24, 22, 10, -Math.PI / 2 + 0.5, end);
+    ctx.stroke();
+    ctx.save();
+    ctx.translate(24, 22);
+    ctx.rotate(end);
+    ctx.beginPath();
+    ctx.moveTo(4, -1);
+    ctx.lineTo(16, -1);
+    ctx.lineTo(10, 7);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+};
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,27 @@
+// a hooked arrow in a 16 by 16 box, mirrored for redo
+let arrow = (ctx, x, mirror, enabled) => {
+    ctx.save();
+    ctx.translate(x + (mirror ? 16 : 0), 0);
+    ctx.scale(mirror ? -1 : 1, 1);
+    ctx.strokeStyle = ctx.fillStyle = (enabled) ? '#f2f7f6' : '#4B8495';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(9, 9, 5, Math.PI, Math.PI / 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(1, 7);
+    ctx.lineTo(7, 7);
+    ctx.lineTo(4, 11);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+};
+
+let draw = (entities, entity, ctx) => {
+    arrow(ctx, 0, false, entity.undo.undos > 0);
+    arrow(ctx, 24, true, entity.undo.redos > 0);
+};
+
+export default Object.freeze({
+    draw
+});
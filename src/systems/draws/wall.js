@@ -0,0 +1,18 @@
+// the same block as a blank square, but darker and bricked
+let draw = (entities, entity, ctx) => {
+    let p = new Path2D('M44 12c0-3.311-2.689-6-6-6H10c-3.311 0-6 2.689-6 6v28c0 3.311 2.689 6 6 6h28c3.311 0 6-2.689 6-6V12z');
+    ctx.fillStyle = '#4B8495';
+    ctx.fill(p);
+    p = new Path2D('M44 8c0-3.311-2.689-6-6-6H10C6.689 2 4 4.689 4 8v28c0 3.311 2.689 6 6 6h28c3.311 0 6-2.689 6-6V8z');
+    ctx.fillStyle = '#AECBD6';
+    ctx.fill(p);
+    ctx.fillStyle = '#4B8495';
+    [15, 28].forEach(y => ctx.fillRect(4, y, 40, 2));
+    [[24, 2, 13], [14, 17, 11], [34, 17, 11], [24, 30, 12]].forEach(
+        ([x, y, h]) => ctx.fillRect(x - 1, y, 2, h)
+    );
+};
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,22 @@
+let colors = ['#4B8495', '#AECBD6', '#878e88'];
+
+let draw = (entities, entity, ctx, time) => {
+    let pair = entity.wormhole.pair;
+    let p = new Path2D('M44 12c0-3.311-2.689-6-6-6H10c-3.311 0-6 2.689-6 6v28c0 3.311 2.689 6 6 6h28c3.311 0 6-2.689 6-6V12z');
+    ctx.fillStyle = '#16272C';
+    ctx.fill(p);
+    // twins share a color and spin the same way
+    let spin = time / 400 * ((pair % 2) ? -1 : 1);
+    ctx.strokeStyle = colors[pair % colors.length];
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    [14, 9, 4].forEach((r, i) => {
+        ctx.beginPath();
+        ctx.arc(24, 26, r, spin + i * 2, spin + i * 2 + Math.PI * 1.2);
+        ctx.stroke();
+    });
+};
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,25 @@
+import xsquare from './xsquare.js';
+
+let lift = 3;
+
+// the layers under the top one peek out below it, the top one is a plain X
+let stack = (layers) => (entities, entity, ctx) => {
+    for (let k = 0; k < layers - 1; k++) {
+        let p = new Path2D('M44 12c0-3.311-2.689-6-6-6H10c-3.311 0-6 2.689-6 6v28c0 3.311 2.689 6 6 6h28c3.311 0 6-2.689 6-6V12z');
+        ctx.fillStyle = '#c3dad5';
+        ctx.fill(p);
+        p = new Path2D('M44 8c0-3.311-2.689-6-6-6H10C6.689 2 4 4.689 4 8v28c0 3.311 2.689 6 6 6h28c3.311 0 6-2.689 6-6V8z');
+        ctx.fillStyle = '#f2f7f6';
+        ctx.fill(p);
+        ctx.translate(0, -lift);
+    }
+    xsquare.draw(entities, entity, ctx);
+    ctx.translate(0, lift * (layers - 1));
+};
+
+let draw = stack(2);
+
+export default Object.freeze({
+    stack,
+    draw
+});
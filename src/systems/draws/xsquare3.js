@@ -0,0 +1,7 @@
+import xsquare2 from './xsquare2.js';
+
+let draw = xsquare2.stack(3);
+
+export default Object.freeze({
+    draw
+});
@@ -0,0 +1,32 @@
+/*
+ * puzzles as JSON
+ *
+ * Like JSON.stringify(entities, null, 2), but with each grid written one
+ * board row per line, the way they are laid out in entities.json.
+ */
+
+let stringify = (entities) => {
+    let grids = [];
+    let json = JSON.stringify(entities, function (key, value) {
+        if (key === 'grid' && Array.isArray(value)) {
+            grids.push({cells: value, cols: this.cols || 6});
+            return 'grid:' + (grids.length - 1);
+        }
+        return value;
+    }, 2);
+    return json.replace(/( *)"grid": "grid:(\d+)"/g, (match, indent, k) => {
+        let {cells, cols} = grids[k];
+        if (cells.length === 0) {
+            return indent + '"grid": []';
+        }
+        let rows = [];
+        for (let i = 0; i < cells.length; i += cols) {
+            rows.push(indent + '  ' + cells.slice(i, i + cols).join(', '));
+        }
+        return indent + '"grid": [\n' + rows.join(',\n') + '\n' + indent + ']';
+    });
+};
+
+export default Object.freeze({
+    stringify
+});
@@ -2,7 +2,10 @@ import updateSystem from './update.js';
 import drawSystem from './draw.js';
 import resizeSystem from './resize.js';
 import pointerSystem from './pointer.js';
+import gamepadSystem from './gamepad.js';
+import mirrorSystem from './mirror.js';
 import dataSystem from './data.js';
+import clockSystem from './clock.js';
 
 /*if (document.monetization) {*/
     /*document.monetization.addEventListener(*/
@@ -16,7 +19,69 @@ import dataSystem from './data.js';
 // if you pay peanuts, you get monkeys
 dataSystem.save('payed', true);
 
-let setup = (entities) => {
+// where everything with a position is, to draw in between two steps. By
+// entity rather than id, moves swap the piece entities between ids
+let remember = (entities) => {
+    let at = new Map();
+    Object.keys(entities).forEach(id => {
+        let position = entities[id].position;
+        if (position !== undefined) {
+            at.set(entities[id], {x: position.x, y: position.y});
+        }
+    });
+    return {at, game: {x: entities.game.canvas.oX, y: entities.game.canvas.oY}};
+};
+
+// alpha of the way from before to now, except for things that jumped more
+// than half the game wide in one step, those are drawn where they landed
+let blend = (before, now, alpha, far) => {
+    if (before === undefined || Math.abs(now - before) > far) {
+        return now;
+    }
+    return before + (now - before) * alpha;
+};
+
+// draw at the in between positions, and put the stepped ones back after
+let between = (entities, ids, before, alpha, draw) => {
+    let canvas = entities.game.canvas;
+    let far = canvas.gW / 2;
+    let stepped = [];
+    ids.forEach(id => {
+        let position = entities[id].position;
+        let was = before.at.get(entities[id]);
+        if (position !== undefined && was !== undefined) {
+            stepped.push({position, x: position.x, y: position.y});
+            position.x = blend(was.x, position.x, alpha, far);
+            position.y = blend(was.y, position.y, alpha, far);
+        }
+    });
+    let oX = canvas.oX;
+    let oY = canvas.oY;
+    canvas.oX = blend(before.game.x, oX, alpha, far);
+    canvas.oY = blend(before.game.y, oY, alpha, far);
+    draw();
+    canvas.oX = oX;
+    canvas.oY = oY;
+    stepped.forEach(({position, x, y}) => {
+        position.x = x;
+        position.y = y;
+    });
+};
+
+let active = (entities, list) => {
+    let ids = [];
+    entities.game.statemachine.active.forEach(id => {
+        let entity = entities[id];
+        if (entity.state === undefined) {
+            return;
+        }
+        ids = [...ids, ...entity.state[list]];
+    });
+    return ids;
+};
+
+// clock: where frames come from, see clock.js
+let setup = (entities, clock = clockSystem.browser()) => {
     let game = entities.game;
     let ctx;
     let canvas = document.createElement('canvas');
@@ -25,54 +90,66 @@ let setup = (entities) => {
         game.canvas.parentSelector
     );
     resizeSystem.resize(game, canvas);
+    // screen readers get the mirror instead
+    canvas.setAttribute('aria-hidden', 'true');
     parent.appendChild(canvas);
     pointerSystem.add(game, canvas);
-    let timer = 0;
-    let delta = 0;
+    mirrorSystem.add(game, parent);
+    let timer;
+    let acc = 0;
+    // the simulated time, it only moves in steps
+    let simulated = 0;
+    let before = remember(entities);
     let onF = time => {
-        delta = time - timer;
+        // the first frame runs one step, there is no frame before it
+        let delta = (timer === undefined) ? clockSystem.step : time - timer;
         timer = time;
-        //console.log(delta);
 
         resizeSystem.resize(game, canvas);
+        gamepadSystem.poll(game);
 
-        let wasPointing = game.pointer.pointing;
-        game.pointer.pointing = false;
+        let frame = clockSystem.advance(acc, delta);
+        acc = frame.acc;
 
-        let updates = [];
-        let draws = [];
+        for (let k = 0; k < frame.steps; k++) {
+            before = remember(entities);
+            simulated = simulated + clockSystem.step;
 
-        game.statemachine.active.forEach(id => {
-            let entity = entities[id];
-            if (entity.state === undefined) {
-                return;
-            }
-            updates = [...updates, ...entity.state.updates];
-            draws = [...draws, ...entity.state.draws];
-        });
+            let wasPointing = game.pointer.pointing;
+            game.pointer.pointing = false;
 
-        updateSystem.process(entities, updates, time, delta);
+            updateSystem.process(entities, active(entities, 'updates'), simulated, clockSystem.step);
 
-        // reset pointer
-        game.pointer.justDown = false;
-        game.pointer.justUp = false;
+            // reset pointer, input waits for the next step when a frame has none
+            game.pointer.justDown = false;
+            game.pointer.justUp = false;
+            game.pointer.justTwoFingers = false;
+            game.gamepad.pressed = {};
+            game.mirror.cell = -1;
+            game.mirror.back = false;
+            game.mirror.forward = false;
 
-        if (wasPointing && !game.pointer.pointing) {
-            canvas.style.cursor = 'default';
-        } else if (!wasPointing && game.pointer.pointing) {
-            canvas.style.cursor = 'pointer';
+            if (wasPointing && !game.pointer.pointing) {
+                canvas.style.cursor = 'default';
+            } else if (!wasPointing && game.pointer.pointing) {
+                canvas.style.cursor = 'pointer';
+            }
         }
 
         // clear canvas
         ctx.clearRect(0, 0, game.canvas.w, game.canvas.h);
 
         // draw stuff
-        drawSystem.process(entities, draws, ctx, time, delta);
+        let draws = active(entities, 'draws');
+        between(entities, draws, before, frame.alpha, () => {
+            drawSystem.process(entities, draws, ctx, simulated + acc, Math.min(delta, clockSystem.maxFrame));
+        });
+        mirrorSystem.render(entities);
 
         // request next frame
-        requestAnimationFrame(onF);
+        clock.request(onF);
     };
-    onF(0);
+    clock.request(onF);
     return;
 };
 
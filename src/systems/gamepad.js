@@ -0,0 +1,73 @@
+/*
+ * gamepads
+ *
+ * The game loop polls every connected pad once a frame. A button or stick
+ * direction that goes down becomes an action in game.gamepad.pressed,
+ * which the next update step sees, the same actions keys and touch have:
+ *
+ *   tap, undo, redo     the tile under the cursor, and the undo arrows
+ *   back, forward       a swipe right or left
+ *   up, right, ...      moving the cursor, the left stick does too
+ *
+ * Which buttons do what is in game.gamepad.buttons, as indexes of the
+ * standard gamepad layout (0 is A, 4 and 5 the shoulder buttons, 12 to
+ * 15 the d-pad). A host can hand over its own with window.GAMEPAD_BUTTONS.
+ */
+
+// actions down at the last poll, an action fires once until let go
+let held = {};
+
+let stick = (gamepad, deadzone, down) => {
+    let [x = 0, y = 0] = gamepad.axes;
+    if (x <= -deadzone) {
+        down.left = true;
+    }
+    if (x >= deadzone) {
+        down.right = true;
+    }
+    if (y <= -deadzone) {
+        down.up = true;
+    }
+    if (y >= deadzone) {
+        down.down = true;
+    }
+};
+
+let poll = (game) => {
+    if (navigator.getGamepads === undefined) {
+        return;
+    }
+    let pad = game.gamepad;
+    let down = {};
+    Array.from(navigator.getGamepads()).forEach(gamepad => {
+        if (!gamepad || !gamepad.connected) {
+            return;
+        }
+        Object.keys(pad.buttons).forEach(action => {
+            pad.buttons[action].forEach(b => {
+                if (gamepad.buttons[b] !== undefined && gamepad.buttons[b].pressed) {
+                    down[action] = true;
+                }
+            });
+        });
+        stick(gamepad, pad.deadzone, down);
+    });
+    Object.keys(down).forEach(action => {
+        if (!held[action]) {
+            pad.pressed[action] = true;
+        }
+    });
+    held = down;
+};
+
+// other buttons for some actions, the rest stay as they are
+let map = (game, buttons) => {
+    Object.keys(buttons).forEach(action => {
+        game.gamepad.buttons[action] = [].concat(buttons[action]);
+    });
+};
+
+export default Object.freeze({
+    poll,
+    map
+});
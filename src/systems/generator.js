@@ -0,0 +1,158 @@
+import rules from './rules.js';
+import solver from './solver.js';
+import random from './random.js';
+
+/*
+ * puzzle generator
+ *
+ * Drops black holes and pieces on an empty board, then lets the solver
+ * walk every state within the taps budget. Boards that can't be cleaned,
+ * are too short, or can be cleaned in too many different ways are thrown
+ * away. Taps are set to the optimal count, so a generated puzzle leaves
+ * no room for mistakes.
+ *
+ * Two solutions that tap the same tiles in a different order count as
+ * one, most puzzles have a few moves that don't get in each other's way.
+ */
+
+let defaults = {
+    cols: 6,
+    rows: 6,
+    // ranges, both ends included
+    blackholes: [1, 2],
+    pieces: [3, 7],
+    minTaps: 3,
+    maxTaps: 10,
+    // 1 for a unique solution
+    maxSolutions: 2,
+    // only keep boards of this grade, any grade when undefined
+    grade: undefined,
+    tries: 500,
+    seed: undefined
+};
+
+// arrows come up the most, they are what makes a puzzle move
+let mix = [
+    'arrowup', 'arrowright', 'arrowdown', 'arrowleft',
+    'arrowup', 'arrowright', 'arrowdown', 'arrowleft',
+    'blanksquare', 'blanksquare',
+    'xsquare',
+    'neutronstar'
+];
+
+let grades = [
+    {name: 'easy', below: 10},
+    {name: 'medium', below: 25},
+    {name: 'hard', below: 50},
+    {name: 'expert', below: Infinity}
+];
+
+let between = (rnd, [min, max]) => min + random.int(rnd, max - min + 1);
+
+let scatter = (rnd, options) => {
+    let size = options.cols * options.rows;
+    let grid = new Array(size).fill(0);
+    let empty = grid.map((key, i) => i);
+    let place = (name) => {
+        let i = empty.splice(random.int(rnd, empty.length), 1)[0];
+        grid[i] = rules.names.indexOf(name);
+    };
+    let blackholes = between(rnd, options.blackholes);
+    let pieces = between(rnd, options.pieces);
+    for (let k = 0; k < blackholes && empty.length > 0; k++) {
+        place('blackhole');
+    }
+    for (let k = 0; k < pieces && empty.length > 0; k++) {
+        place(random.pick(rnd, mix));
+    }
+    return grid;
+};
+
+// solutions that are the same taps in another order count once
+let distinct = (solutions) => {
+    let seen = {};
+    solutions.forEach(solution => {
+        seen[solution.slice().sort((a, b) => a - b).join()] = true;
+    });
+    return Object.keys(seen).length;
+};
+
+/*
+ * how hard a board is to clean within taps
+ *
+ *  depth     - the fewest taps that clean it
+ *  branching - legal moves per state, on average
+ *  deadEnds  - states from which it can no longer be cleaned in time
+ *  states    - every state reachable within taps
+ *  paths     - tap sequences that clean it within taps
+ *  trap      - the first move a wrong tap can ruin, -1 when none can
+ *  score     - depth * branching * the share of dead ends
+ */
+let grade = (board, taps, graph = solver.explore(board, taps)) => {
+    let states = Object.keys(graph.states).map(h => graph.states[h]);
+    let expanded = states.filter(state => state.edges.length > 0);
+    let moves = expanded.reduce((sum, state) => sum + state.edges.length, 0);
+    let deadEnds = states.filter(state => (
+        state.toClean === undefined
+        || state.depth + state.toClean > taps
+    )).length;
+    let start = graph.states[graph.start];
+    let depth = (start.toClean === undefined) ? -1 : start.toClean;
+    let branching = (expanded.length > 0) ? moves / expanded.length : 0;
+    let score = Math.round(depth * branching * deadEnds / states.length);
+    return {
+        depth,
+        branching: Math.round(branching * 100) / 100,
+        deadEnds,
+        states: states.length,
+        paths: solver.count(graph, taps),
+        trap: solver.trap(graph, taps),
+        score,
+        grade: grades.find(g => score < g.below).name
+    };
+};
+
+// { puzzle, difficulty } where puzzle can go straight into entities.json,
+// or undefined when no board made it within the tries
+let generate = (options = {}) => {
+    options = {...defaults, ...options};
+    let rnd = (options.seed === undefined)
+        ? Math.random
+        : random.seeded(options.seed);
+    for (let t = 0; t < options.tries; t++) {
+        let grid = scatter(rnd, options);
+        let board = rules.create(grid, options);
+        if (rules.piecesLeft(board) > options.maxTaps) {
+            continue;
+        }
+        let wide = solver.explore(board, options.maxTaps);
+        let par = wide.states[wide.start].toClean;
+        if (par === undefined || par < options.minTaps) {
+            continue;
+        }
+        // look again with no taps to spare
+        let graph = solver.explore(board, par);
+        let solutions = solver.paths(graph, par, 5000);
+        if (distinct(solutions) > options.maxSolutions) {
+            continue;
+        }
+        let difficulty = grade(board, par, graph);
+        if (options.grade !== undefined && difficulty.grade !== options.grade) {
+            continue;
+        }
+        let puzzle = {grid, init: true, taps: par, par};
+        if (options.cols !== 6 || options.rows !== 6) {
+            puzzle.cols = options.cols;
+            puzzle.rows = options.rows;
+        }
+        return {puzzle, difficulty};
+    }
+    return undefined;
+};
+
+export default Object.freeze({
+    defaults,
+    grades,
+    grade,
+    generate
+});
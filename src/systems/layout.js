@@ -0,0 +1,47 @@
+// piece art is drawn on a 48 by 48 tile
+let art = 48;
+let margin = 16;
+
+// fit a cols by rows board in the square under the title, keeping
+// the 16 margin on the sides of the design canvas
+let fit = (game, cols, rows) => {
+    let side = game.canvas.tW - margin * 2;
+    let tile = Math.min(side / cols, side / rows);
+    let layout = game.layout;
+    layout.cols = cols;
+    layout.rows = rows;
+    layout.tile = tile;
+    layout.scale = tile / art;
+    layout.w = tile * cols;
+    layout.h = tile * rows;
+    layout.x = (game.canvas.tW - layout.w) / 2;
+    // pieces sit 2 above the board cut out
+    layout.y = (game.canvas.tH - layout.h) / 2 - 2;
+    return layout;
+};
+
+// top left corner of tile i, in game coordinates
+let tileAt = (game, i) => {
+    let layout = game.layout;
+    return {
+        x: layout.x + (i % layout.cols) * layout.tile,
+        y: layout.y + ((i / layout.cols) | 0) * layout.tile
+    };
+};
+
+// the tile under a pointer position, or -1 when it's off the board
+let cellAt = (game, pointerX, pointerY) => {
+    let layout = game.layout;
+    let x = pointerX - layout.x - (game.canvas.gW - game.canvas.tW) / 2;
+    let y = pointerY - layout.y - (game.canvas.gH - game.canvas.tH) / 2;
+    if (x < 0 || x >= layout.w || y < 0 || y >= layout.h) {
+        return -1;
+    }
+    return ((x / layout.tile) | 0) + ((y / layout.tile) | 0) * layout.cols;
+};
+
+export default Object.freeze({
+    fit,
+    tileAt,
+    cellAt
+});
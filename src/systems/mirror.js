@@ -0,0 +1,173 @@
+import rules from './rules.js';
+
+/*
+ * screen reader mirror
+ *
+ * The canvas means nothing to a screen reader, so the game keeps an
+ * off-screen copy of what is on it in the page: a group of buttons, one
+ * for every piece entity of the board ("row 2 column 3, arrow right"),
+ * in reading order so tab goes through them like the eye would, or the
+ * title and lines of a text screen, and buttons to go back and on. What
+ * a move did is said through a live region, see announce.
+ *
+ * A button press ends up in game.mirror, for the next update step to
+ * handle like a tap or a swipe:
+ *
+ *   cell     - the tile to tap, -1 for none
+ *   back     - swipe right
+ *   forward  - swipe left
+ */
+
+let spoken = {
+    '': 'empty',
+    blackhole: 'black hole',
+    blanksquare: 'blank square',
+    xsquare: 'X square',
+    arrowup: 'arrow up',
+    arrowright: 'arrow right',
+    arrowdown: 'arrow down',
+    arrowleft: 'arrow left',
+    neutronstar: 'neutron star',
+    wormhole: 'worm hole',
+    rotator: 'rotator',
+    wall: 'wall',
+    xsquare2: 'X square with 2 layers',
+    xsquare3: 'X square with 3 layers',
+    blackhole1: 'black hole for 1 more piece',
+    blackhole2: 'black hole for 2 more pieces',
+    blackhole3: 'black hole for 3 more pieces'
+};
+
+// what draws/maintitle.js spells out on the title screen
+let gameTitle = 'Black Hole Square';
+
+let root;
+let title;
+let grid;
+let lines;
+let live;
+let back;
+let forward;
+// what is in the page now, so only what changed gets touched
+let shown = {board: '', cells: [], text: ''};
+
+let element = (tag, parent, attributes = {}) => {
+    let el = document.createElement(tag);
+    Object.keys(attributes).forEach(name => {
+        el.setAttribute(name, attributes[name]);
+    });
+    parent.appendChild(el);
+    return el;
+};
+
+let add = (game, parent) => {
+    root = element('div', parent, {class: 'sr'});
+    title = element('h1', root);
+    title.textContent = gameTitle;
+    lines = element('div', root, {'aria-live': 'polite'});
+    grid = element('div', root, {role: 'group', 'aria-label': 'Board'});
+    live = element('div', root, {role: 'status', 'aria-live': 'polite'});
+    back = element('button', root);
+    forward = element('button', root);
+    back.addEventListener('click', () => {
+        game.mirror.back = true;
+    });
+    forward.addEventListener('click', () => {
+        game.mirror.forward = true;
+    });
+};
+
+// the piece on tile i, as the entity has it
+let pieceName = (entities, i) => {
+    let piece = entities['piece' + i];
+    return (piece === undefined)
+        ? ''
+        : rules.names.find(name => name && piece[name] !== undefined) || '';
+};
+
+let layBoard = (game, cols, rows) => {
+    grid.textContent = '';
+    shown.cells = [];
+    for (let i = 0; i < cols * rows; i++) {
+        let button = element('button', grid);
+        button.addEventListener('click', () => {
+            game.mirror.cell = i;
+        });
+        shown.cells.push({button, label: ''});
+    }
+    shown.board = cols + 'x' + rows;
+};
+
+let showBoard = (entities) => {
+    let layout = entities.game.layout;
+    if (shown.board !== layout.cols + 'x' + layout.rows) {
+        layBoard(entities.game, layout.cols, layout.rows);
+    }
+    shown.cells.forEach((cell, i) => {
+        let name = pieceName(entities, i);
+        let label = 'row ' + ((i / layout.cols | 0) + 1)
+            + ' column ' + (i % layout.cols + 1)
+            + ', ' + spoken[name];
+        if (cell.label !== label) {
+            cell.label = label;
+            cell.button.setAttribute('aria-label', label);
+            cell.button.setAttribute(
+                'aria-disabled',
+                String(rules.clickables.indexOf(name) < 0)
+            );
+        }
+    });
+};
+
+let setText = (el, text) => {
+    if (el.textContent !== text) {
+        el.textContent = text;
+    }
+};
+
+// bring the page in line with the puzzle on screen, once a frame
+let render = (entities) => {
+    if (root === undefined) {
+        return;
+    }
+    let game = entities.game;
+    let entity = entities[entities.level.state.updates[0]];
+    let playing = game.statemachine.active.indexOf('level') > -1
+        && entity !== undefined
+        && entity.puzzle !== undefined;
+    root.hidden = !playing;
+    if (!playing) {
+        return;
+    }
+    let puzzle = entity.puzzle;
+    title.hidden = puzzle.noBoard !== true;
+    let text = (puzzle.text === undefined) ? '' : puzzle.text.join('\n');
+    if (shown.text !== text) {
+        shown.text = text;
+        lines.textContent = '';
+        (puzzle.text || []).filter(line => line.trim()).forEach(line => {
+            element('p', lines).textContent = line;
+        });
+    }
+    grid.hidden = puzzle.text !== undefined;
+    if (puzzle.text === undefined) {
+        showBoard(entities);
+    }
+    setText(back, (puzzle.lT || '').trim() || 'Back');
+    setText(forward, (puzzle.rT || '').trim() || 'Skip');
+};
+
+// say what happened, when the text is the same it's said again
+let announce = (text) => {
+    if (live === undefined) {
+        return;
+    }
+    live.textContent = (live.textContent === text) ? text + '.' : text;
+};
+
+export default Object.freeze({
+    spoken,
+    add,
+    render,
+    announce
+});
@@ -0,0 +1,71 @@
+import rules from './rules.js';
+
+/*
+ * puzzle pack checks
+ *
+ * What makes a pack playable, see packs.js for the format. Kept apart
+ * from packs.js, which bundles the packs in src/packs with webpack, so
+ * the node tools can check packs too.
+ */
+
+let name = /^[A-Za-z0-9-]+$/;
+
+let invalid = (reason) => ({valid: false, reason});
+
+let checkPuzzle = (puzzle, k) => {
+    let at = 'Puzzle ' + (k + 1);
+    if (puzzle === null || typeof puzzle !== 'object') {
+        return at + ' is not an object';
+    }
+    if (typeof puzzle.id !== 'string' || !name.test(puzzle.id)) {
+        return at + ' needs an id of letters, digits and dashes';
+    }
+    at = 'Puzzle ' + puzzle.id;
+    let {cols = 6, rows = 6} = puzzle;
+    if (!Array.isArray(puzzle.grid) || puzzle.grid.length !== cols * rows) {
+        return at + ' needs a grid of ' + cols * rows + ' tiles';
+    }
+    if (puzzle.grid.some(key => !Number.isInteger(key) || key < 0 || key >= rules.names.length)) {
+        return at + ' has unknown pieces';
+    }
+    if (!Number.isInteger(puzzle.taps) || puzzle.taps < 1) {
+        return at + ' needs taps';
+    }
+    if (puzzle.solution !== undefined && (!Array.isArray(puzzle.solution) || !puzzle.solution.every(Number.isInteger))) {
+        return at + ' has a solution that is not a list of taps';
+    }
+    return '';
+};
+
+// {valid, reason}
+let validate = (pack) => {
+    if (pack === null || typeof pack !== 'object') {
+        return invalid('The pack is not an object');
+    }
+    if (typeof pack.id !== 'string' || !name.test(pack.id)) {
+        return invalid('The pack needs an id of letters, digits and dashes');
+    }
+    if (!Array.isArray(pack.puzzles) || pack.puzzles.length === 0) {
+        return invalid('The pack has no puzzles');
+    }
+    let intro = pack.intro || [];
+    if (!Array.isArray(intro) || intro.some(text => !Array.isArray(text))) {
+        return invalid('The intro should be a list of text screens');
+    }
+    let seen = {};
+    for (let k = 0; k < pack.puzzles.length; k++) {
+        let reason = checkPuzzle(pack.puzzles[k], k);
+        if (reason) {
+            return invalid(reason);
+        }
+        if (seen[pack.puzzles[k].id]) {
+            return invalid('Puzzle ' + pack.puzzles[k].id + ' is in the pack twice');
+        }
+        seen[pack.puzzles[k].id] = true;
+    }
+    return {valid: true, reason: ''};
+};
+
+export default Object.freeze({
+    validate
+});
@@ -0,0 +1,110 @@
+import packCheck from './packcheck.js';
+
+/*
+ * puzzle packs
+ *
+ * A pack is a set of puzzles that takes the place of the regular
+ * sequence:
+ *
+ *   {
+ *     id: 'workshop',          letters, digits and dashes
+ *     name: 'The workshop',
+ *     version: 1,
+ *     intro: [['line', ...]],  text screens before the first puzzle
+ *     puzzles: [{id, grid, taps, par, cols, rows, wrap, starCapacity,
+ *                hints, title}, ...]
+ *   }
+ *
+ * Only id, grid and taps are required of a puzzle, see packcheck.js.
+ * Entities of a pack are named pack:puzzle, so solved puzzles, stars,
+ * stored solutions and analytics level ids never mix with the regular
+ * ones or other packs.
+ */
+
+let bundled = {};
+let importPacks = (r) => {
+    r.keys().forEach((k) => {
+        let pack = r(k);
+        bundled[pack.id] = pack;
+    });
+};
+importPacks(
+    require.context(
+        '../packs/',
+        false,
+        /\.(json)$/
+    )
+);
+
+let fields = ['grid', 'taps', 'par', 'solution', 'cols', 'rows', 'wrap', 'starCapacity', 'hints'];
+
+let scoped = (pack, id) => pack.id + ':' + id;
+
+// the data key of something stored per pack, like the current level
+let key = (levels, id) => (levels.pack) ? levels.pack + ':' + id : id;
+
+// a bundled pack id, a url, a File (or Blob), or the pack itself
+let read = (source) => {
+    if (typeof source === 'string' && bundled[source] !== undefined) {
+        return Promise.resolve(bundled[source]);
+    }
+    if (typeof source === 'string') {
+        return fetch(source).then(response => {
+            if (!response.ok) {
+                throw new Error('The pack could not be fetched');
+            }
+            return response.json();
+        });
+    }
+    if (source !== null && typeof source === 'object' && typeof source.text === 'function') {
+        return source.text().then(text => JSON.parse(text));
+    }
+    return Promise.resolve(source);
+};
+
+let load = (source) => read(source).then(pack => {
+    let check = packCheck.validate(pack);
+    if (!check.valid) {
+        throw new Error(check.reason);
+    }
+    return pack;
+});
+
+// add the pack's screens and puzzles to entities and play them instead
+let merge = (entities, pack) => {
+    let sequence = [];
+    (pack.intro || []).forEach((text, k) => {
+        let id = scoped(pack, 'intro' + k);
+        entities[id] = {
+            puzzle: {grid: [], init: true, taps: '', text: text.map(String)}
+        };
+        sequence.push(id);
+    });
+    pack.puzzles.forEach(puzzle => {
+        let id = scoped(pack, puzzle.id);
+        let copy = {init: true, title: puzzle.title || puzzle.id};
+        fields.forEach(field => {
+            if (puzzle[field] !== undefined) {
+                copy[field] = puzzle[field];
+            }
+        });
+        copy.grid = puzzle.grid.slice();
+        entities[id] = {puzzle: copy};
+        sequence.push(id);
+    });
+    sequence.push('end');
+    let levels = entities.game.levels;
+    levels.pack = pack.id;
+    levels.sequence = sequence;
+    levels.wm = sequence.slice();
+    levels.current = 0;
+    entities.level.state.updates = [sequence[0]];
+};
+
+export default Object.freeze({
+    bundled,
+    key,
+    validate: packCheck.validate,
+    load,
+    merge
+});
@@ -9,8 +9,11 @@ let add = (game, canvas) => {
     let pointerX;
     let pointerY;
     let mouseEntered = false;
+    // a second finger turns the touch into a two finger tap, not a swipe
+    let twoFingers = false;
 
-    let handlePointerDown = (x, y) => {
+    let handlePointerDown = (x, y, source) => {
+        pointer.source = source;
         pointer.x = x;
         pointer.y = y;
         pointer.downX = x;
@@ -43,18 +46,26 @@ let add = (game, canvas) => {
         adjust = game.canvas.zoom / window.devicePixelRatio;
         pointerX = (e.clientX - left) / adjust;
         pointerY = (e.clientY - top) / adjust;
-        handlePointerDown(pointerX, pointerY);
+        handlePointerDown(pointerX, pointerY, 'mouse');
     });
 
     canvas.addEventListener('touchstart', e => {
         e.preventDefault(); // this prevents the mousedown from firing
+        if (e.touches.length > 1) {
+            twoFingers = true;
+            pointer.isDown = false;
+            return;
+        }
+        if (twoFingers) {
+            return;
+        }
         viewportOffset = canvas.getBoundingClientRect();
         left = viewportOffset.left;
         top = viewportOffset.top;
         adjust = game.canvas.zoom / window.devicePixelRatio;
         pointerX = (e.changedTouches[0].clientX - left) / adjust;
         pointerY = (e.changedTouches[0].clientY - top) / adjust;
-        handlePointerDown(pointerX, pointerY);
+        handlePointerDown(pointerX, pointerY, 'touch');
         // get around ios sound limitations
         soundSystem.playSong({melody: ['8-']});
     });
@@ -71,6 +82,9 @@ let add = (game, canvas) => {
 
     canvas.addEventListener('touchmove', e => {
         e.preventDefault(); // this prevents the mousemove from firing
+        if (twoFingers) {
+            return;
+        }
         viewportOffset = canvas.getBoundingClientRect();
         left = viewportOffset.left;
         top = viewportOffset.top;
@@ -92,6 +106,13 @@ let add = (game, canvas) => {
 
     canvas.addEventListener('touchend', e => {
         e.preventDefault(); // this prevents the mouseup from firing
+        if (twoFingers) {
+            if (e.touches.length === 0) {
+                twoFingers = false;
+                pointer.justTwoFingers = true;
+            }
+            return;
+        }
         viewportOffset = canvas.getBoundingClientRect();
         left = viewportOffset.left;
         top = viewportOffset.top;
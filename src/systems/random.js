@@ -0,0 +1,29 @@
+/*
+ * seeded random numbers
+ *
+ * seeded(seed) returns a Math.random look-alike (mulberry32) that gives
+ * the same numbers for the same seed, so generated puzzles can be made
+ * again from just their seed.
+ */
+
+let seeded = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t = t ^ (t + Math.imul(t ^ (t >>> 7), t | 61));
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// a whole number from 0 up to, but not including, n
+let int = (random, n) => (random() * n) | 0;
+
+let pick = (random, list) => list[int(random, list.length)];
+
+export default Object.freeze({
+    seeded,
+    int,
+    pick
+});
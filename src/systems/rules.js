@@ -0,0 +1,363 @@
+/*
+ * puzzle rules
+ *
+ * A board is a plain object { cols, rows, wrap, cells, wormholes } where cells
+ * holds one piece key per tile, row by row (see the key table in
+ * updates/puzzle.js). Nothing in here touches entities, the canvas or the
+ * pointer, so the same rules can drive the game, tests and tools in node.
+ *
+ * move(board, i) never mutates its input. It returns the new board and
+ * what happened, so the caller can animate it:
+ *
+ *  changes  - 0 when the tap does nothing (a dab), > 0 when it is a move
+ *  path     - tiles a push travelled over, ending on the tile that stopped it
+ *  shifted  - tiles whose piece moved one step further along the path
+ *  absorbed - black holes that swallowed a piece
+ *  warped   - tiles a piece reached through a worm hole, as {i, from}
+ *             where from is the worm hole it came out of
+ *  wrapped  - tiles a piece reached over the edge of a wrapping board
+ *  changed  - tiles whose piece changed in place, as {i, from, to}
+ *
+ * On a board with wrap set, a push that goes over an edge comes back in
+ * on the other side. A line that comes all the way around without
+ * stopping moves nothing, like one that reaches the edge of a board that
+ * doesn't wrap.
+ *
+ * Worm holes pair up in reading order, the first with the second, the
+ * third with the fourth and so on. A worm hole without a twin is as
+ * much of a dead end as the edge of the board.
+ *
+ * A rotator turns the arrows right next to it (not diagonally, and not
+ * through worm holes) a quarter clockwise. It moves with pushes and has
+ * to be cleaned like any other piece.
+ *
+ * A wall never moves and needs no cleaning. A push that runs into one
+ * stops dead, nothing in the line moves.
+ *
+ * X squares with layers (xsquare3, xsquare2) lose one per tap, every tap
+ * a move of its own, and turn into a plain X square for the last one.
+ *
+ * Black holes with a number only take that many pieces (blackhole3 takes
+ * 3, then is a blackhole2 and so on). A blackhole1 that takes its piece
+ * collapses into a blank square. Neutron stars turn into plain black
+ * holes, unless the puzzle sets starCapacity to 1, 2 or 3.
+ */
+
+let names = [
+    '',
+    'blackhole',
+    'blanksquare',
+    'xsquare',
+    'arrowup',
+    'arrowright',
+    'arrowdown',
+    'arrowleft',
+    'neutronstar',
+    'wormhole',
+    'rotator',
+    'wall',
+    'xsquare2',
+    'xsquare3',
+    'blackhole1',
+    'blackhole2',
+    'blackhole3'
+];
+
+let clickables = [
+    'xsquare',
+    'arrowup',
+    'arrowright',
+    'arrowdown',
+    'arrowleft',
+    'neutronstar',
+    'rotator',
+    'xsquare2',
+    'xsquare3'
+];
+
+let pushables = [
+    'blanksquare',
+    'xsquare',
+    'arrowup',
+    'arrowright',
+    'arrowdown',
+    'arrowleft',
+    'neutronstar',
+    'rotator',
+    'xsquare2',
+    'xsquare3'
+];
+
+let directions = {
+    arrowup: {x: 0, y: -1},
+    arrowright: {x: 1, y: 0},
+    arrowdown: {x: 0, y: 1},
+    arrowleft: {x: -1, y: 0}
+};
+
+// what a black hole is once it has swallowed a piece
+let fills = {
+    blackhole: 'blackhole',
+    blackhole3: 'blackhole2',
+    blackhole2: 'blackhole1',
+    blackhole1: 'blanksquare'
+};
+
+// a quarter turn clockwise
+let turns = {
+    arrowup: 'arrowright',
+    arrowright: 'arrowdown',
+    arrowdown: 'arrowleft',
+    arrowleft: 'arrowup'
+};
+
+// options is usually the puzzle itself, which may set cols, rows, wrap
+// and starCapacity
+let create = (grid, options = {}) => {
+    let {cols = 6, rows = 6, wrap = false, starCapacity} = options;
+    let starHole = names.indexOf('blackhole' + (starCapacity || ''));
+    let wormholes = {};
+    let open = -1;
+    grid.forEach((key, i) => {
+        if (names[key] !== 'wormhole') {
+            return;
+        }
+        if (open < 0) {
+            open = i;
+        } else {
+            wormholes[open] = i;
+            wormholes[i] = open;
+            open = -1;
+        }
+    });
+    return {
+        cols,
+        rows,
+        wrap,
+        cells: grid.slice(),
+        wormholes,
+        // the key neutron stars turn into
+        starHole: (starHole < 0) ? names.indexOf('blackhole') : starHole
+    };
+};
+
+let nameAt = (board, i) => names[board.cells[i]] || '';
+
+let twinOf = (board, i) => (board.wormholes[i] === undefined)
+    ? -1
+    : board.wormholes[i];
+
+let isClickable = (board, i) => clickables.indexOf(nameAt(board, i)) > -1;
+
+let isPushable = (board, i) => pushables.indexOf(nameAt(board, i)) > -1;
+
+let crosses = (board, i, dir) => {
+    let x = i % board.cols + dir.x;
+    let y = ((i / board.cols) | 0) + dir.y;
+    return x < 0 || x >= board.cols || y < 0 || y >= board.rows;
+};
+
+let step = (board, i, dir) => {
+    if (crosses(board, i, dir) && !board.wrap) {
+        return -1;
+    }
+    let x = (i % board.cols + dir.x + board.cols) % board.cols;
+    let y = (((i / board.cols) | 0) + dir.y + board.rows) % board.rows;
+    return x + y * board.cols;
+};
+
+// the next tile along dir, jumping through any worm holes on the way
+let next = (board, i, dir) => {
+    let from = i;
+    let to = step(board, i, dir);
+    let exit = -1;
+    let hops = 0;
+    while (to > -1 && nameAt(board, to) === 'wormhole') {
+        exit = twinOf(board, to);
+        hops = hops + 1;
+        from = exit;
+        to = (exit < 0 || hops > board.cells.length)
+            ? -1
+            : step(board, exit, dir);
+    }
+    return {to, exit, wrapped: to > -1 && crosses(board, from, dir)};
+};
+
+let result = (board, move) => ({
+    board,
+    move,
+    changes: 0,
+    path: [],
+    shifted: [],
+    absorbed: [],
+    warped: [],
+    wrapped: [],
+    changed: []
+});
+
+let push = (board, i, move) => {
+    let dir = directions[move];
+    let path = [];
+    let warped = [];
+    let wrapped = [];
+    let stopped = false;
+    let j = i;
+    let exit = -1;
+    let over = false;
+    while (!stopped && j > -1 && path.indexOf(j) < 0) {
+        path.push(j);
+        if (exit > -1) {
+            warped.push({i: j, from: exit});
+        }
+        if (over) {
+            wrapped.push(j);
+        }
+        if (isPushable(board, j)) {
+            ({to: j, exit, wrapped: over} = next(board, j, dir));
+        } else {
+            stopped = true;
+        }
+    }
+    let out = result(board, move);
+    let end = path[path.length - 1];
+    if (!stopped || nameAt(board, end) === 'wall') {
+        // the line reached the edge of the board or a wall, or came back
+        // around (through a worm hole or over the edges of a wrapping
+        // board) and would never stop, nothing moves
+        return out;
+    }
+    let cells = board.cells.slice();
+    let hole = nameAt(board, end);
+    let absorbed = fills[hole] !== undefined;
+    for (let k = path.length - 2; k >= 0; k--) {
+        if (path[k + 1] !== end || !absorbed) {
+            cells[path[k + 1]] = board.cells[path[k]];
+        }
+    }
+    cells[i] = 0;
+    if (absorbed && fills[hole] !== hole) {
+        cells[end] = names.indexOf(fills[hole]);
+        out.changed = [{i: end, from: board.cells[end], to: cells[end]}];
+    }
+    out.board = {...board, cells};
+    out.changes = path.length;
+    out.path = path;
+    out.shifted = path.slice(0, -1);
+    out.absorbed = absorbed ? [end] : [];
+    out.warped = warped;
+    out.wrapped = wrapped;
+    return out;
+};
+
+let morph = (board, i, move, to) => {
+    let cells = board.cells.slice();
+    cells[i] = to;
+    let out = result({...board, cells}, move);
+    out.changes = 1;
+    out.changed = [{i, from: board.cells[i], to}];
+    return out;
+};
+
+let rotate = (board, i) => {
+    let cells = board.cells.slice();
+    let changed = [];
+    Object.keys(directions).forEach(name => {
+        let j = step(board, i, directions[name]);
+        let from = (j < 0) ? '' : nameAt(board, j);
+        // on a narrow wrapping board two sides can be the same tile
+        if (turns[from] !== undefined && !changed.some(c => c.i === j)) {
+            cells[j] = names.indexOf(turns[from]);
+            changed.push({i: j, from: board.cells[j], to: cells[j]});
+        }
+    });
+    let out = result({...board, cells}, 'rotator');
+    if (changed.length > 0) {
+        out.changes = changed.length;
+        out.changed = changed;
+    } else {
+        out.board = board;
+    }
+    return out;
+};
+
+let moves = {
+    arrowup: (board, i) => push(board, i, 'arrowup'),
+    arrowright: (board, i) => push(board, i, 'arrowright'),
+    arrowdown: (board, i) => push(board, i, 'arrowdown'),
+    arrowleft: (board, i) => push(board, i, 'arrowleft'),
+    xsquare: (board, i) => morph(board, i, 'xsquare', 0),
+    neutronstar: (board, i) => morph(board, i, 'neutronstar', board.starHole),
+    rotator: rotate,
+    xsquare2: (board, i) => morph(board, i, 'xsquare2', names.indexOf('xsquare')),
+    xsquare3: (board, i) => morph(board, i, 'xsquare3', names.indexOf('xsquare2'))
+};
+
+let move = (board, i) => {
+    let name = nameAt(board, i);
+    if (moves[name] === undefined) {
+        return result(board);
+    }
+    return moves[name](board, i);
+};
+
+let legalMoves = (board) => {
+    let legal = [];
+    board.cells.forEach((key, i) => {
+        if (isClickable(board, i) && move(board, i).changes > 0) {
+            legal.push(i);
+        }
+    });
+    return legal;
+};
+
+let isClean = (board) => !board.cells.some((key, i) => isPushable(board, i));
+
+// each move cleans at most one of these, so it's a floor on moves left
+let piecesLeft = (board) => board.cells.filter(
+    (key, i) => isPushable(board, i)
+).length;
+
+let hasClickables = (board) => board.cells.some((key, i) => isClickable(board, i));
+
+let isStuck = (board) => legalMoves(board).length === 0;
+
+// what the game should say after a tap, given the taps still left
+let status = (board, tapsLeft) => {
+    if (isClean(board)) {
+        return 'clean';
+    }
+    if (tapsLeft <= 0) {
+        return 'outofmoves';
+    }
+    if (!hasClickables(board)) {
+        return 'notclean';
+    }
+    if (isStuck(board)) {
+        return 'stuck';
+    }
+    return 'playing';
+};
+
+let hash = (board) => String.fromCharCode(
+    ...board.cells.map(key => 48 + key)
+);
+
+export default Object.freeze({
+    names,
+    clickables,
+    pushables,
+    directions,
+    create,
+    nameAt,
+    twinOf,
+    isClickable,
+    isPushable,
+    move,
+    legalMoves,
+    isClean,
+    piecesLeft,
+    hasClickables,
+    isStuck,
+    status,
+    hash
+});
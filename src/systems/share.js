@@ -0,0 +1,128 @@
+import rules from './rules.js';
+
+/*
+ * share codes
+ *
+ * A puzzle packed in a short url safe string, for #p= links. Every
+ * number is one character of the url safe base64 alphabet (so up to 63):
+ *
+ *   version cols rows taps cells... checksum [~name]
+ *
+ * A run of three or more empty tiles is written as '.' and its length.
+ * The checksum catches most typos in a code that was copied by hand.
+ * Puzzles with more than maxNumber taps, cols or rows can't be shared.
+ */
+
+let alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+let version = 0;
+let run = '.';
+let maxNumber = alphabet.length - 1;
+
+let sum = (body) => body.split('').reduce(
+    (total, char) => total + Math.max(0, alphabet.indexOf(char)),
+    0
+) % alphabet.length;
+
+let fits = (n) => Number.isInteger(n) && n >= 0 && n <= maxNumber;
+
+// {valid, code, reason}
+let encode = (puzzle) => {
+    let {grid, taps, cols = 6, rows = 6, name} = puzzle;
+    if (!fits(taps) || !fits(cols) || !fits(rows)) {
+        return {valid: false, code: '', reason: 'Taps, cols and rows go up to ' + maxNumber};
+    }
+    if (!grid.every(fits)) {
+        return {valid: false, code: '', reason: 'The board has unknown pieces'};
+    }
+    let body = [version, cols, rows, taps].map(n => alphabet[n]).join('');
+    for (let i = 0; i < grid.length; i++) {
+        let zeros = 0;
+        while (grid[i + zeros] === 0 && zeros < alphabet.length - 1) {
+            zeros = zeros + 1;
+        }
+        if (zeros >= 3) {
+            body = body + run + alphabet[zeros];
+            i = i + zeros - 1;
+        } else {
+            body = body + alphabet[grid[i]];
+        }
+    }
+    let code = body + alphabet[sum(body)];
+    if (name) {
+        code = code + '~' + encodeURIComponent(name);
+    }
+    return {valid: true, code, reason: ''};
+};
+
+let invalid = (reason) => ({valid: false, puzzle: null, reason});
+
+// {valid, puzzle, reason}, puzzle has grid, taps, cols, rows and maybe name
+let decode = (code) => {
+    if (typeof code !== 'string' || code.length === 0) {
+        return invalid('The code is empty');
+    }
+    let tilde = code.indexOf('~');
+    let body = (tilde < 0) ? code : code.slice(0, tilde);
+    let name;
+    if (tilde > -1) {
+        try {
+            name = decodeURIComponent(code.slice(tilde + 1));
+        } catch (error) {
+            return invalid('The name is garbled');
+        }
+    }
+    if (/[^A-Za-z0-9\-_.]/.test(body)) {
+        return invalid('The code has odd characters');
+    }
+    if (body.length < 6) {
+        return invalid('The code is too short');
+    }
+    let check = body[body.length - 1];
+    body = body.slice(0, -1);
+    if (alphabet[sum(body)] !== check) {
+        return invalid('The code has a typo');
+    }
+    let numbers = body.slice(0, 4).split('').map(char => alphabet.indexOf(char));
+    let [v, cols, rows, taps] = numbers;
+    if (numbers.indexOf(-1) > -1) {
+        return invalid('The code has a typo');
+    }
+    if (v !== version) {
+        return invalid('The code is from another version');
+    }
+    if (cols === 0 || rows === 0 || taps === 0) {
+        return invalid('The puzzle is empty');
+    }
+    let grid = [];
+    let cells = body.slice(4);
+    for (let k = 0; k < cells.length; k++) {
+        let n = alphabet.indexOf(cells[k + 1]);
+        if (cells[k] === run && n > -1) {
+            for (let z = 0; z < n; z++) {
+                grid.push(0);
+            }
+            k = k + 1;
+        } else if (cells[k] === run) {
+            return invalid('The code has a typo');
+        } else {
+            grid.push(alphabet.indexOf(cells[k]));
+        }
+    }
+    if (grid.length !== cols * rows) {
+        return invalid('The board has the wrong size');
+    }
+    if (grid.some(key => key >= rules.names.length)) {
+        return invalid('The board has unknown pieces');
+    }
+    let puzzle = {grid, taps, cols, rows};
+    if (name) {
+        puzzle.name = name;
+    }
+    return {valid: true, puzzle, reason: ''};
+};
+
+export default Object.freeze({
+    maxNumber,
+    encode,
+    decode
+});
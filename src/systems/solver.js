@@ -0,0 +1,275 @@
+import rules from './rules.js';
+
+/*
+ * solver
+ *
+ * Breadth first search over board states, using the same rules the game
+ * plays by. Every state reachable within the taps budget is visited once
+ * (states are hashed with rules.hash), so when no clean state turns up
+ * the search itself is the proof that the puzzle can't be solved. States
+ * with more pieces left than taps left are never expanded, no move cleans
+ * more than one piece.
+ */
+
+// walk every state that can still be cleaned within taps moves
+let explore = (board, taps) => {
+    let start = rules.hash(board);
+    let states = {};
+    let clean = [];
+    states[start] = {depth: 0, edges: [], parents: []};
+    let frontier = [{h: start, board}];
+    let depth = 0;
+    while (frontier.length > 0) {
+        let next = [];
+        frontier.forEach(({h, board}) => {
+            let state = states[h];
+            if (rules.isClean(board)) {
+                state.toClean = 0;
+                clean.push(h);
+                return;
+            }
+            if (depth + rules.piecesLeft(board) > taps) {
+                return;
+            }
+            rules.legalMoves(board).forEach(i => {
+                let moved = rules.move(board, i).board;
+                let to = rules.hash(moved);
+                if (states[to] === undefined) {
+                    states[to] = {depth: depth + 1, edges: [], parents: []};
+                    next.push({h: to, board: moved});
+                }
+                state.edges.push({i, to});
+                states[to].parents.push(h);
+            });
+        });
+        frontier = next;
+        depth = depth + 1;
+    }
+    // moves left to a clean state, walking the graph backwards
+    let queue = clean;
+    for (let q = 0; q < queue.length; q++) {
+        let h = queue[q];
+        states[h].parents.forEach(p => {
+            if (states[p].toClean === undefined) {
+                states[p].toClean = states[h].toClean + 1;
+                queue.push(p);
+            }
+        });
+    }
+    return {start, states};
+};
+
+// every tap sequence from the start that ends clean within taps
+let paths = (graph, taps, limit) => {
+    let found = [];
+    let taken = [];
+    let walk = (h) => {
+        if (found.length >= limit) {
+            return;
+        }
+        let state = graph.states[h];
+        if (state.toClean === 0) {
+            found.push(taken.slice());
+            return;
+        }
+        state.edges.forEach(edge => {
+            let to = graph.states[edge.to];
+            if (
+                to.toClean === undefined
+                || taken.length + 1 + to.toClean > taps
+            ) {
+                return;
+            }
+            taken.push(edge.i);
+            walk(edge.to);
+            taken.pop();
+        });
+    };
+    walk(graph.start);
+    return found;
+};
+
+// a state d taps in that can still be cleaned in the taps left
+let live = (graph, taps, h, d) => {
+    let state = graph.states[h];
+    return state.toClean !== undefined && d + state.toClean <= taps;
+};
+
+// how many tap sequences clean the board, without listing them all
+let count = (graph, taps) => {
+    let counted = {};
+    let walk = (h, d) => {
+        let key = h + '@' + d;
+        if (counted[key] === undefined) {
+            let state = graph.states[h];
+            counted[key] = (state.toClean === 0) ? 1 : state.edges
+                .filter(edge => live(graph, taps, edge.to, d + 1))
+                .reduce((sum, edge) => sum + walk(edge.to, d + 1), 0);
+        }
+        return counted[key];
+    };
+    return live(graph, taps, graph.start, 0) ? walk(graph.start, 0) : 0;
+};
+
+// the first move (1 for the first tap) at which a wrong tap leaves the
+// board beyond cleaning, or -1 when no tap ever does
+let trap = (graph, taps) => {
+    if (!live(graph, taps, graph.start, 0)) {
+        return -1;
+    }
+    let frontier = [graph.start];
+    for (let d = 0; frontier.length > 0; d++) {
+        let next = {};
+        for (let k = 0; k < frontier.length; k++) {
+            let edges = graph.states[frontier[k]].edges;
+            for (let e = 0; e < edges.length; e++) {
+                if (!live(graph, taps, edges[e].to, d + 1)) {
+                    return d + 1;
+                }
+                next[edges[e].to] = true;
+            }
+        }
+        frontier = Object.keys(next);
+    }
+    return -1;
+};
+
+let search = (board, taps, options = {}) => {
+    let {limit = 100} = options;
+    let graph = explore(board, taps);
+    let start = graph.states[graph.start];
+    let out = {
+        solvable: start.toClean !== undefined,
+        par: (start.toClean === undefined) ? -1 : start.toClean,
+        solution: [],
+        solutions: [],
+        states: Object.keys(graph.states).length
+    };
+    if (!out.solvable) {
+        return out;
+    }
+    // walk downhill on toClean for one optimal solution
+    let h = graph.start;
+    while (graph.states[h].toClean > 0) {
+        let toClean = graph.states[h].toClean;
+        let edge = graph.states[h].edges.find(
+            e => graph.states[e.to].toClean === toClean - 1
+        );
+        out.solution.push(edge.i);
+        h = edge.to;
+    }
+    out.solutions = paths(graph, taps, limit).sort(
+        (a, b) => a.length - b.length
+    );
+    return out;
+};
+
+/*
+ * the fewest taps that clean the board, searched breadth first a bit at a
+ * time, so the game can spread it over its update steps:
+ *
+ *   let search = solver.tapSearch(board, taps);
+ *   if (search.run(1000)) { search.tap, search.par }
+ *
+ * run(maxMoves) goes on where the last run stopped, tries about maxMoves
+ * moves (a board that is looked at and left counts as one too) and says
+ * whether the search is done. Done, tap is the first tap of a shortest
+ * way to clean the board and par its length, both -1 when there is none
+ * within taps. moves counts the moves tried so far.
+ */
+let tapSearch = (board, taps) => {
+    let seen = {};
+    seen[rules.hash(board)] = true;
+    let frontier = [{board, first: -1}];
+    let next = [];
+    let k = 0;
+    let depth = 0;
+    let search = {done: false, tap: -1, par: -1, moves: 0};
+    let finish = (tap, par) => {
+        search.done = true;
+        search.tap = tap;
+        search.par = par;
+        frontier = [];
+        next = [];
+        seen = {};
+    };
+    search.run = (maxMoves = Infinity) => {
+        let spent = 0;
+        while (!search.done && spent < maxMoves) {
+            if (k >= frontier.length) {
+                if (next.length === 0) {
+                    finish(-1, -1);
+                    break;
+                }
+                frontier = next;
+                next = [];
+                k = 0;
+                depth = depth + 1;
+            }
+            let {board, first} = frontier[k];
+            k = k + 1;
+            spent = spent + 1;
+            if (rules.isClean(board)) {
+                finish(first, depth);
+                break;
+            }
+            if (depth + rules.piecesLeft(board) > taps) {
+                continue;
+            }
+            rules.legalMoves(board).forEach(i => {
+                search.moves = search.moves + 1;
+                spent = spent + 1;
+                let moved = rules.move(board, i).board;
+                let h = rules.hash(moved);
+                if (seen[h] === undefined) {
+                    seen[h] = true;
+                    next.push({board: moved, first: (first < 0) ? i : first});
+                }
+            });
+        }
+        return search.done;
+    };
+    return search;
+};
+
+// the first tap of a shortest way to clean the board, -1 when there is
+// none within taps. All in one go, see tapSearch for one that isn't
+let nextTap = (board, taps) => {
+    let search = tapSearch(board, taps);
+    search.run();
+    return search.tap;
+};
+
+// the next tap of route, a solution that cleans start, when board is where
+// route gets to with no more than taps to go, undefined when it isn't on
+// the way or route doesn't clean start after all
+let routeTap = (start, route, board, taps) => {
+    let h = rules.hash(board);
+    let tap;
+    let at = start;
+    route.forEach((i, k) => {
+        if (tap === undefined && route.length - k <= taps && rules.hash(at) === h) {
+            tap = i;
+        }
+        at = rules.move(at, i).board;
+    });
+    return rules.isClean(at) ? tap : undefined;
+};
+
+let solve = (grid, taps, options = {}) => search(
+    rules.create(grid, options),
+    taps,
+    options
+);
+
+export default Object.freeze({
+    explore,
+    paths,
+    count,
+    trap,
+    search,
+    tapSearch,
+    nextTap,
+    routeTap,
+    solve
+});
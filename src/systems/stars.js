@@ -0,0 +1,47 @@
+import dataSystem from './data.js';
+
+/*
+ * stars
+ *
+ * A cleaned puzzle earns 3 stars at par (the fewest taps that clean it),
+ * 2 with up to 2 taps more, and 1 past that. The best rating of each
+ * puzzle is stored under 'stars' in the data system, next to 'solved'.
+ */
+
+let rate = (moves, par) => {
+    if (moves <= par) {
+        return 3;
+    }
+    if (moves <= par + 2) {
+        return 2;
+    }
+    return 1;
+};
+
+let best = () => dataSystem.load('stars') || {};
+
+// keep the better of the old and new rating, and return it
+let save = (puzzleId, stars) => {
+    let all = best();
+    if (all[puzzleId] === undefined || all[puzzleId] < stars) {
+        all[puzzleId] = stars;
+        dataSystem.save('stars', all);
+    }
+    return all[puzzleId];
+};
+
+let total = () => {
+    let all = best();
+    return Object.keys(all).reduce((sum, id) => sum + all[id], 0);
+};
+
+// ★★☆ for 2
+let show = (stars) => '★★★'.slice(0, stars) + '☆☆☆'.slice(stars);
+
+export default Object.freeze({
+    rate,
+    best,
+    save,
+    total,
+    show
+});
@@ -0,0 +1,196 @@
+import dataSystem from './data.js';
+import entitySystem from './entity.js';
+
+/*
+ * time attack
+ *
+ * Every playable puzzle of the sequence in a row, against one clock.
+ * Cleaning a puzzle adds time, failing one takes some off and it starts
+ * over, skipping one takes as much off. The run lives in the timeattack component of the clock entity,
+ * the best run is stored under 'timeattack' in the data system, as
+ * {cleared, time} with time in ms.
+ */
+
+let startTime = 120000;
+let bonus = 30000;
+let penalty = 15000;
+let levelId = 'time_attack';
+
+let pad = (n) => ('0' + n).slice(-2);
+
+// 1:05 for 65000
+let format = (ms) => {
+    let seconds = Math.ceil(ms / 1000);
+    return ((seconds / 60) | 0) + ':' + pad(seconds % 60);
+};
+
+let show = (run) => format(run.left) + ', ' + run.cleared + ' cleared';
+
+let best = () => dataSystem.load('timeattack');
+
+// more puzzles cleared, or as many in less time
+let record = (result) => {
+    let old = best();
+    if (
+        old === undefined
+        || result.cleared > old.cleared
+        || (result.cleared === old.cleared && result.time < old.time)
+    ) {
+        dataSystem.save('timeattack', result);
+        return true;
+    }
+    return false;
+};
+
+let playable = (entities) => entities.game.levels.sequence.filter(
+    puzzleId => entities[puzzleId].puzzle.grid.length > 0
+);
+
+// a copy of the puzzle the run is at, so the sequence entry stays as it is
+let load = (entities) => {
+    let run = entities.clock.timeattack;
+    let puzzleId = run.puzzles[run.index];
+    let attack = entitySystem.add(entities, 'attack', 'puzzle');
+    Object.assign(attack.puzzle, entities[puzzleId].puzzle, {
+        name: puzzleId,
+        init: true,
+        oneOff: true,
+        timeAttack: true,
+        lT: 'Again',
+        rT: 'Skip -' + format(penalty)
+    });
+    attack.puzzle.grid = attack.puzzle.grid.slice();
+    delete attack.puzzle.text;
+    run.clean = false;
+    entities.level.state.updates = ['attack'];
+};
+
+let start = (entities) => {
+    let run = entities.clock.timeattack;
+    run.puzzles = playable(entities);
+    run.index = 0;
+    run.cleared = 0;
+    run.left = startTime;
+    run.elapsed = 0;
+    run.running = true;
+    entities.clock.text.text = show(run);
+    // a run is a session of its own, to hold up against normal play
+    if (window.analytics) {
+        window.analytics.reset();
+        window.analytics.setSessionType('time_attack');
+        window.analytics.startLevel(levelId);
+        window.analytics.addRawMetric('puzzles_total', run.puzzles.length);
+    }
+    load(entities);
+};
+
+let finish = (entities) => {
+    let run = entities.clock.timeattack;
+    run.running = false;
+    let result = {cleared: run.cleared, time: Math.round(run.elapsed)};
+    let isBest = record(result);
+    if (window.analytics) {
+        window.analytics.addRawMetric('puzzles_cleared', result.cleared);
+        window.analytics.addRawMetric('total_time_seconds', (result.time / 1000).toFixed(2));
+        window.analytics.addRawMetric('personal_best', isBest);
+        window.analytics.endLevel(levelId, result.cleared > 0, result.time, 0);
+        window.analytics.submitReport();
+    }
+    let top = best();
+    let screen = entities.timeover.puzzle;
+    screen.text = [
+        (run.left > 0) ? 'All through!' : 'Time\'s up!',
+        'Cleared ' + result.cleared + ' of ' + run.puzzles.length + ' puzzles',
+        'in ' + format(result.time) + '.',
+        '',
+        (isBest)
+            ? 'That\'s a new best!'
+            : 'Best: ' + top.cleared + ' in ' + format(top.time),
+        '',
+        'Swipe left to go again,',
+        'right for the puzzles.'
+    ];
+    screen.init = true;
+    entities.level.state.updates = ['timeover'];
+};
+
+// the board is done with, status as rules.status has it
+let score = (entities, status) => {
+    let run = entities.clock.timeattack;
+    if (!run.running || status === 'playing') {
+        return;
+    }
+    let feedback = entities.feedback.text;
+    if (status === 'clean') {
+        run.cleared = run.cleared + 1;
+        run.clean = true;
+        run.left = run.left + bonus;
+        feedback.text = feedback.text + ' +' + format(bonus);
+    } else {
+        run.left = Math.max(0, run.left - penalty);
+        feedback.text = feedback.text + ' -' + format(penalty);
+    }
+    entities.clock.text.text = show(run);
+};
+
+let timeUp = (entities) => {
+    let run = entities.clock.timeattack;
+    return run.running && run.left <= 0;
+};
+
+// back to the puzzle of the sequence the player was at, and out of #time
+// so a reload doesn't start another run
+let leave = (entities) => {
+    if (window.location.hash === '#time') {
+        window.history.replaceState(
+            null,
+            '',
+            window.location.pathname + window.location.search
+        );
+    }
+    if (window.analytics) {
+        window.analytics.reset();
+        window.analytics.setSessionType('normal');
+    }
+    let levels = entities.game.levels;
+    let sequence = (dataSystem.load('payed')) ? levels.wm : levels.sequence;
+    let puzzleId = sequence[levels.current];
+    entities[puzzleId].puzzle.init = true;
+    entities.level.state.updates = [puzzleId];
+};
+
+// after a swipe: onward to the next puzzle, this one again, or the results.
+// On the results onward is another run, back is the way out
+let next = (entities, onward) => {
+    let run = entities.clock.timeattack;
+    if (!run.running) {
+        if (onward) {
+            start(entities);
+        } else {
+            leave(entities);
+        }
+        return;
+    }
+    if (onward && !run.clean) {
+        run.left = Math.max(0, run.left - penalty);
+        entities.clock.text.text = show(run);
+    }
+    if (onward) {
+        run.index = run.index + 1;
+    }
+    if (run.left <= 0 || run.index >= run.puzzles.length) {
+        finish(entities);
+        return;
+    }
+    load(entities);
+};
+
+export default Object.freeze({
+    format,
+    show,
+    best,
+    start,
+    score,
+    timeUp,
+    next
+});
@@ -0,0 +1,7 @@
+let transform = (entities, entity, ctx) => {
+    ctx.scale(entity.tile.scale, entity.tile.scale);
+};
+
+export default Object.freeze({
+    transform
+});
@@ -0,0 +1,275 @@
+import entitySystem from '../entity.js';
+import rules from '../rules.js';
+import solver from '../solver.js';
+import format from '../format.js';
+import share from '../share.js';
+import layoutSystem from '../layout.js';
+import boardSystem from '../board.js';
+
+/*
+ * level editor
+ *
+ * Paint keys from the palette on the board (or pick them with the 0-9
+ * keys), set the taps, then check, play or export the puzzle. Play runs
+ * it as a one-off puzzle that swipes back to the editor when it's done.
+ * Export checks it first, asks for a name and copies an entities.json
+ * block by that name.
+ *
+ * Checking searches for the fewest taps that clean the board a bit every
+ * update step, so a big board doesn't freeze the page, and gives up on
+ * boards with more ways to go than it can keep track of.
+ */
+
+let brushKey = -1;
+// the check that is on, {search, then} where then is what to do once
+// it's done
+let checking;
+let checkMoves = 1000;
+let maxCheckMoves = 1000000;
+
+window.addEventListener('keydown', e => {
+    if (e.ctrlKey || e.metaKey || e.altKey) {
+        return;
+    }
+    if (e.key >= '0' && e.key <= '9') {
+        brushKey = Number(e.key);
+    }
+});
+
+let swatchIds = rules.names.map((name, key) => 'swatch' + key);
+
+let hit = (box, x, y) => x >= box.x && x < box.x + box.w
+    && y >= box.y && y < box.y + box.h;
+
+let setup = (entities, entity) => {
+    let editor = entity.editor;
+    let size = editor.cols * editor.rows;
+    if (editor.grid.length !== size) {
+        editor.grid = new Array(size).fill(0);
+    }
+    brushKey = -1;
+    let board = rules.create(editor.grid, editor);
+    let layout = boardSystem.fit(entities, board);
+    boardSystem.lay(entities, board, layout);
+    editor.top = layout.y - 22;
+    let palette = editor.palette;
+    palette.count = swatchIds.length;
+    // every piece in one row, as big as they fit
+    palette.size = Math.min(
+        palette.max,
+        Math.floor(entities.game.canvas.tW / swatchIds.length)
+    );
+    palette.x = (entities.game.canvas.tW - palette.size * swatchIds.length) / 2;
+    palette.y = layout.y + layout.h + 8;
+    let swatchLayout = {tile: palette.size, scale: palette.size / 48};
+    swatchIds.forEach((id, key) => {
+        boardSystem.fitTile(
+            entitySystem.add(entities, id, ...boardSystem.pieces[key]),
+            palette.x + key * palette.size,
+            palette.y,
+            swatchLayout
+        );
+    });
+    let w = layout.w / 4;
+    let y = palette.y + palette.size + 8;
+    editor.buttons = [
+        {id: 'less', label: '-', x: layout.x, y: editor.top, w: 16, h: 16},
+        {id: 'more', label: '+', x: layout.x + 96, y: editor.top, w: 16, h: 16},
+        {id: 'clear', label: 'clear', x: layout.x, y, w, h: 16},
+        {id: 'check', label: 'check', x: layout.x + w, y, w, h: 16},
+        {id: 'play', label: 'play', x: layout.x + w * 2, y, w, h: 16},
+        {id: 'export', label: 'export', x: layout.x + w * 3, y, w, h: 16}
+    ];
+    entities.editmode.state.draws = [
+        ...boardSystem.ids(board),
+        ...swatchIds,
+        'bgcut',
+        'bgout',
+        'tunnel',
+        'editor'
+    ];
+    entities.editmode.state.updates = ['editor', ...boardSystem.ids(board)];
+};
+
+// start looking for the fewest taps that clean the board, then gets the
+// par once it is known, see stepCheck
+let check = (editor, then = () => {}) => {
+    let board = rules.create(editor.grid, editor);
+    if (rules.isClean(board)) {
+        editor.status = 'nothing to clean';
+        checking = undefined;
+        return;
+    }
+    checking = {search: solver.tapSearch(board, editor.taps), then};
+    editor.status = 'checking';
+};
+
+// a bit more of the check, the status says what it takes when it's done
+let stepCheck = (editor) => {
+    let {search, then} = checking;
+    if (search.run(checkMoves)) {
+        checking = undefined;
+        editor.status = (search.par > 0)
+            ? 'par ' + search.par
+            : 'no solution';
+        then(search.par);
+    } else if (search.moves > maxCheckMoves) {
+        checking = undefined;
+        editor.status = 'too big to check';
+        then(-1);
+    }
+};
+
+// an edit makes the status and a check that is on out of date
+let edited = (editor) => {
+    editor.status = '';
+    checking = undefined;
+};
+
+let play = (entities, editor) => {
+    let entity = entitySystem.add(entities, 'draft', 'puzzle');
+    Object.assign(entity.puzzle, {
+        grid: editor.grid.slice(),
+        cols: editor.cols,
+        rows: editor.rows,
+        taps: editor.taps,
+        init: true,
+        name: 'draft',
+        oneOff: true,
+        back: ['editmode'],
+        lT: 'Editor',
+        rT: 'Editor'
+    });
+    // a puzzle with text is a screen, not a board
+    delete entity.puzzle.text;
+    let game = entities.game;
+    game.canvas.oX = game.canvas.gX + game.canvas.gW;
+    entities.level.state.updates = ['draft'];
+    game.statemachine.active = ['level', 'controls'];
+    // lay the board again when the test play swipes back
+    editor.init = true;
+};
+
+let exportPuzzle = (editor) => check(editor, par => {
+    if (par < 0) {
+        editor.status = editor.status + ', not exported';
+        return;
+    }
+    let puzzle = {grid: editor.grid.slice(), init: true, taps: editor.taps, par};
+    if (editor.cols !== 6 || editor.rows !== 6) {
+        puzzle.cols = editor.cols;
+        puzzle.rows = editor.rows;
+    }
+    // the name goes with the share code, it's the title of the puzzle
+    if (typeof window.prompt === 'function') {
+        editor.name = (window.prompt('Name of the puzzle', editor.name) || '').trim()
+            || editor.name;
+    }
+    // drop the outer braces, so it pastes between the other entities
+    let block = format.stringify({[editor.name]: {puzzle}})
+        .split('\n')
+        .slice(1, -1)
+        .join('\n');
+    console.log(block);
+    let shared = share.encode({...puzzle, name: editor.name});
+    console.log((shared.valid)
+        ? 'Share it with #p=' + shared.code
+        : 'Can\'t be shared: ' + shared.reason);
+    if (navigator.clipboard === undefined) {
+        editor.status = editor.status + ', see console';
+        return;
+    }
+    navigator.clipboard.writeText(block).then(() => {
+        editor.status = editor.status + ', copied';
+    }, () => {
+        editor.status = editor.status + ', see console';
+    });
+});
+
+let actions = {
+    less: (entities, editor) => {
+        editor.taps = Math.max(1, editor.taps - 1);
+        edited(editor);
+    },
+    more: (entities, editor) => {
+        // as many as a share code can carry
+        editor.taps = Math.min(share.maxNumber, editor.taps + 1);
+        edited(editor);
+    },
+    clear: (entities, editor) => {
+        editor.grid = editor.grid.map(() => 0);
+        edited(editor);
+        boardSystem.lay(
+            entities,
+            rules.create(editor.grid, editor),
+            entities.game.layout
+        );
+    },
+    check: (entities, editor) => check(editor),
+    play: (entities, editor) => play(entities, editor),
+    export: (entities, editor) => exportPuzzle(editor)
+};
+
+let update = (entities, entity, time, delta) => {
+    let editor = entity.editor;
+    let game = entities.game;
+    if (editor.init === true) {
+        editor.init = false;
+        setup(entities, entity);
+    }
+    // slide in, after a test play
+    game.canvas.oX = game.canvas.oX
+        + (game.canvas.gX - game.canvas.oX) / 7 * delta / 17;
+    game.canvas.oY = game.canvas.gY;
+    if (checking !== undefined) {
+        stepCheck(editor);
+    }
+    if (brushKey > -1) {
+        editor.brush = Math.min(brushKey, swatchIds.length - 1);
+        brushKey = -1;
+    }
+    let pointer = game.pointer;
+    let x = pointer.x - game.canvas.gX;
+    let y = pointer.y - game.canvas.gY;
+    let i = layoutSystem.cellAt(game, pointer.x, pointer.y);
+    if (i > -1) {
+        game.pointer.pointing = true;
+        entities['piece' + i].clicked = 1;
+        if (pointer.isDown && editor.grid[i] !== editor.brush) {
+            editor.grid[i] = editor.brush;
+            edited(editor);
+            boardSystem.lay(
+                entities,
+                rules.create(editor.grid, editor),
+                game.layout
+            );
+        }
+        return;
+    }
+    let palette = editor.palette;
+    let swatch = {
+        x: palette.x,
+        y: palette.y,
+        w: palette.size * palette.count,
+        h: palette.size
+    };
+    if (hit(swatch, x, y)) {
+        game.pointer.pointing = true;
+        if (pointer.justUp) {
+            editor.brush = ((x - palette.x) / palette.size) | 0;
+        }
+        return;
+    }
+    let button = editor.buttons.find(b => hit(b, x, y));
+    if (button === undefined) {
+        return;
+    }
+    game.pointer.pointing = true;
+    if (pointer.justUp) {
+        actions[button.id](entities, editor);
+    }
+};
+
+export default Object.freeze({
+    update
+});
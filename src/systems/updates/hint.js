@@ -0,0 +1,16 @@
+let update = (entities, entity) => {
+    let canvas = entities.game.canvas;
+    let x = entities.game.pointer.x - canvas.gX - entity.position.x;
+    let y = entities.game.pointer.y - canvas.gY - entity.position.y;
+    if (y < 0 || y > 16 || x < 0 || x > 16 || entity.hint.left === 0) {
+        return;
+    }
+    entities.game.pointer.pointing = true;
+    if (entities.game.pointer.justUp) {
+        entity.hint.pressed = true;
+    }
+};
+
+export default Object.freeze({
+    update
+});
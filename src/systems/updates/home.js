@@ -10,7 +10,7 @@ let update = (entities, entity, time, delta) => {
         }
         let yHome = entity.home.y;
         if (entity.home.drop) {
-            yHome = yHome + 48;
+            yHome = yHome + entity.size.h;
         }
         entity.position.y = entity.position.y
             + (yHome - entity.position.y) / 3 * delta / 17;
@@ -28,7 +28,10 @@ let update = (entities, entity, time, delta) => {
                     'arrowright',
                     'arrowdown',
                     'arrowleft',
-                    'neutronstar'
+                    'neutronstar',
+                    'rotator',
+                    'xsquare2',
+                    'xsquare3'
                 ].forEach(prop => {
                     delete entity[prop];
                 });
@@ -1,29 +1,41 @@
 import dataSystem from '../data.js';
+import dailySystem from '../daily.js';
+import starsSystem from '../stars.js';
+import packSystem from '../packs.js';
 
 let update = (entities, entity, time, delta) => {
     let solved = dataSystem.load('solved') || [];
+    let best = starsSystem.best();
     let sequence = (
         dataSystem.load('payed')
     ) ? entities.game.levels.wm : entities.game.levels.sequence;
     let current = entities.game.levels.current;
     let currentPuzzleId = sequence[current];
     let dots = [];
+    let stars = [];
     let puzzleIds = [];
     sequence.forEach(puzzleId => {
         let puzzle = entities[puzzleId].puzzle;
-        if (puzzle.grid.length) {
+        if (puzzle.grid.length || puzzle.daily) {
             let dot = 0;
-            if (solved.indexOf(puzzleId) > -1) {
+            if (puzzle.daily) {
+                // the daily counts as solved for the rest of the day
+                if (dailySystem.results()[dailySystem.key()] !== undefined) {
+                    dot = dot + 1;
+                }
+            } else if (solved.indexOf(puzzleId) > -1) {
                 dot = dot + 1;
             }
             if (puzzleId === currentPuzzleId) {
                 dot = dot + 2;
             }
             dots.push(dot);
+            stars.push(best[puzzleId] || 0);
             puzzleIds.push(puzzleId);
         }
     });
     entity.progress.dots = dots;
+    entity.progress.stars = stars;
     let x = entities.game.pointer.x - entities.game.canvas.gW / 2 + dots.length * 6;
     let y = entities.game.pointer.y - entities.game.canvas.gH / 2 - entity.position.y;
     if (y < 0 || y > 8 || x < 0 || x > dots.length * 12) {
@@ -35,7 +47,7 @@ let update = (entities, entity, time, delta) => {
         let puzzleId = puzzleIds[target];
         let levels = entities.game.levels;
         levels.current = sequence.indexOf(puzzleId);
-        dataSystem.save('current', levels.current);
+        dataSystem.save(packSystem.key(levels, 'current'), levels.current);
         entities[puzzleId].puzzle.init = true;
         let state = entities.level.state;
         state.updates = [puzzleId];
@@ -1,6 +1,16 @@
 import entitySystem from '../entity.js';
 import soundSystem from '../sound.js';
 import dataSystem from '../data.js';
+import componentSystem from '../component.js';
+import rules from '../rules.js';
+import solver from '../solver.js';
+import layoutSystem from '../layout.js';
+import boardSystem from '../board.js';
+import dailySystem from '../daily.js';
+import starsSystem from '../stars.js';
+import timeAttackSystem from '../timeattack.js';
+import packSystem from '../packs.js';
+import mirrorSystem from '../mirror.js';
 
 /*
  * keys
@@ -14,46 +24,26 @@ import dataSystem from '../data.js';
  * 6 = arrow down (pushes others down on click)
  * 7 = arrow left (pushes others left on click)
  * 8 = neutronstar (pushable, but truns into blackhole, when clicked)
- * 9 = worm hole -if time left in scope-
+ * 9 = worm hole (pairs up in reading order, pushed pieces come out of the twin)
+ * 10 = rotator (pushable, turns the arrows next to it clockwise on click)
+ * 11 = wall (stops pushes, never moves and needs no cleaning)
+ * 12 = X square with 2 layers (loses one per click, moves with others)
+ * 13 = X square with 3 layers
+ * 14 = black hole that takes 1 more piece, then is a blank square
+ * 15 = black hole that takes 2 more pieces
+ * 16 = black hole that takes 3 more pieces
+ *
+ * grids are 6 by 6 unless the puzzle sets cols and rows, and neutron
+ * stars turn into key 1 unless it sets starCapacity. With wrap set, pushes
+ * go over the edges and come back in on the other side
  */
 
-let pieces = [
-    ['position', 'size', 'home'],
-    ['position', 'size', 'home', 'blackhole'],
-    ['position', 'size', 'home', 'blanksquare'],
-    ['position', 'size', 'home', 'xsquare'],
-    ['position', 'size', 'home', 'arrowup'],
-    ['position', 'size', 'home', 'arrowright'],
-    ['position', 'size', 'home', 'arrowdown'],
-    ['position', 'size', 'home', 'arrowleft'],
-    ['position', 'size', 'home', 'neutronstar']
-];
-
-let clickables = [
-    'xsquare',
-    'arrowup',
-    'arrowright',
-    'arrowdown',
-    'arrowleft',
-    'neutronstar'
-];
-
-let pushables = [
-    'blanksquare',
-    'xsquare',
-    'arrowup',
-    'arrowright',
-    'arrowdown',
-    'arrowleft',
-    'neutronstar'
-];
-
 let failSound = {bass: ['4-', '2e3', '6a2']};
 let victorySound = {melody: ['4-', '2C3', '2D3', '4G3']};
-let notes = ['C3', 'e3', 'a3', 'D3', 'G3', 'b3'];
+let notes = ['C3', 'e3', 'a3', 'D3', 'G3', 'b3', 'F3', 'd3', 'B3'];
 let tapSounds = {};
 let dabSounds = {};
-clickables.forEach((name, i) => {
+rules.clickables.forEach((name, i) => {
     tapSounds[name] = {melody: ['2' + notes[i]]};
     dabSounds[name] = {melody: ['1' + notes[i]]};
 });
@@ -64,9 +54,16 @@ let swipeWait = 0;
 let swiped = false;
 let wheelLeft = false;
 let wheelRight = false;
+let undoPressed = false;
+let redoPressed = false;
+// the game of the last update, wheel and keys only count while it has a
+// puzzle up, not in the editor or on the title screen
+let lastGame;
+let playing = () => lastGame !== undefined
+    && lastGame.statemachine.active.indexOf('level') > -1;
 
 window.addEventListener('wheel', e => {
-    if (swiped) {
+    if (swiped || !playing()) {
         return;
     }
     if (e.deltaX <= -1) {
@@ -76,62 +73,725 @@ window.addEventListener('wheel', e => {
     }
 });
 
+window.addEventListener('keydown', e => {
+    if ((!e.ctrlKey && !e.metaKey) || !playing()) {
+        return;
+    }
+    let key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        undoPressed = true;
+        e.preventDefault();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        redoPressed = true;
+        e.preventDefault();
+    }
+});
+
+// the keyboard plays without a pointer: the arrows move a cursor over the
+// board, Enter or Space taps the tile under it, R resets, Backspace goes
+// back and N skips, the last two just like a swipe
+let cursorMoves = {
+    ArrowUp: {x: 0, y: -1},
+    ArrowRight: {x: 1, y: 0},
+    ArrowDown: {x: 0, y: 1},
+    ArrowLeft: {x: -1, y: 0}
+};
+let cursorMove;
+let keyTap = false;
+let keyReset = false;
+// where the pointer was, the cursor goes when it moves
+let pointerAt = '';
+// what the moves of this level are tapped with: mouse, touch, keyboard
+// or gamepad (the game loop polls those, see gamepad.js)
+let inputSource = '';
+let padMoves = {
+    up: cursorMoves.ArrowUp,
+    right: cursorMoves.ArrowRight,
+    down: cursorMoves.ArrowDown,
+    left: cursorMoves.ArrowLeft
+};
+
+window.addEventListener('keydown', e => {
+    // keys on the buttons of the screen reader mirror are theirs
+    if (e.ctrlKey || e.metaKey || e.altKey || (e.target && e.target.tagName === 'BUTTON') || !playing()) {
+        return;
+    }
+    let key = e.key.toLowerCase();
+    if (cursorMoves[e.key] !== undefined) {
+        cursorMove = cursorMoves[e.key];
+    } else if (key === 'enter' || key === ' ') {
+        keyTap = true;
+    } else if (key === 'r') {
+        keyReset = true;
+    } else if (key === 'backspace') {
+        wheelRight = wheelRight || !swiped;
+    } else if (key === 'n') {
+        wheelLeft = wheelLeft || !swiped;
+    } else {
+        return;
+    }
+    e.preventDefault();
+});
+
+let undoSound = {melody: ['1b3', '1G3']};
+
 let solution = [];
+let board = rules.create([]);
+// boards before each move in solution, and taps undone since
+let history = [];
+let future = [];
+let undos = 0;
+let redos = 0;
+
+// puzzles may set hints to give more or fewer, each one costs some XP
+let hintsPerPuzzle = 3;
+let hintXP = 25;
+let hintsUsed = 0;
+// the hint search that is on, for hintBoard, and the moves it tries in one
+// update step
+let hintSearch;
+let hintBoard;
+let hintMoves = 1000;
+let hintSound = {melody: ['1G3', '1D3', '2G3']};
+
+// taps of the stored solution being replayed, one every replayDelay ms
+let replayTaps = [];
+let replayDelay = 600;
+let replayWait = 0;
 
 let solved = dataSystem.load('solved') || [];
 let solutions = dataSystem.load('solutions') || {};
 
+// replay a rules.move result on the piece and top entities
+let animate = (entities, result) => {
+    if (result.path.length > 0) {
+        let changes = [];
+        result.path.forEach(j => {
+            changes.unshift('top' + j);
+            if (result.absorbed.indexOf(j) < 0) {
+                changes.push('piece' + j);
+            }
+        });
+        let firstId = changes.shift();
+        let prev = entities[firstId];
+        let firstHome = prev.home;
+        let nextHome;
+        let nextE;
+        changes.forEach(id => {
+            nextE = entities[id];
+            nextHome = nextE.home;
+            entities[id] = prev;
+            entities[id].home = nextHome;
+            prev = nextE;
+        });
+        entities[firstId] = prev;
+        // remove square
+        entities[firstId].home = firstHome;
+        entities[firstId].home.suck = true;
+    }
+    // pieces that went through a worm hole slide out of its twin
+    result.warped.forEach(({i, from}) => {
+        let id = (result.absorbed.indexOf(i) < 0) ? 'piece' + i : 'top' + i;
+        entities[id].position.x = entities['piece' + from].home.x;
+        entities[id].position.y = entities['piece' + from].home.y;
+    });
+    // and pieces that went over the edge of a wrapping board come in from
+    // the other side
+    result.wrapped.forEach(i => {
+        let id = (result.absorbed.indexOf(i) < 0) ? 'piece' + i : 'top' + i;
+        let dir = rules.directions[result.move];
+        let tile = entities.game.layout.tile;
+        entities[id].position.x = entities[id].home.x - dir.x * tile;
+        entities[id].position.y = entities[id].home.y - dir.y * tile;
+    });
+    result.changed.forEach(({i, from, to}) => {
+        let piece = entities['piece' + i];
+        delete piece[rules.names[from]];
+        if (rules.names[to]) {
+            componentSystem.add(piece, rules.names[to]);
+        }
+        if (rules.names[from] === 'neutronstar') {
+            componentSystem.add(entities['top' + i], 'neutronstar');
+            entities['top' + i].home.suck = true;
+        }
+    });
+};
+
+let plural = (n, word) => n + ' ' + word + ((n === 1) ? '' : 's');
+
+// what a screen reader hears after a tap, the feedback with its stars
+// spelled out when the puzzle is done
+let sayMove = (entities, result, tapsLeft, status) => {
+    let {spoken} = mirrorSystem;
+    let said = result.changed.map(({from, to}) => spoken[rules.names[from]] + ((to === 0)
+        ? ' cleared'
+        : ' turned into ' + spoken[rules.names[to]])).join(', ');
+    if (result.changes === 0) {
+        said = 'Nothing moved';
+    } else if (result.move === 'rotator') {
+        said = plural(result.changed.length, 'arrow') + ' turned';
+    } else if (rules.directions[result.move] !== undefined) {
+        // what the hole turned into comes after the push
+        said = plural(result.shifted.length, 'piece') + ' pushed'
+            + ((result.absorbed.length > 0) ? ', 1 absorbed' : '')
+            + ((said === '') ? '' : ', ' + said.replace(/^black hole/, 'the black hole'));
+    }
+    said = said[0].toUpperCase() + said.slice(1) + ', ' + plural(tapsLeft, 'move') + ' left';
+    if (status !== 'playing') {
+        said = said + '. ' + entities.feedback.text.text.replace(
+            /[★☆]+/,
+            stars => (stars.match(/★/g) || []).length + ' of ' + stars.length + ' stars'
+        );
+    }
+    mirrorSystem.announce(said);
+};
+
+// play a tap on tile i, count it as a move and check how the puzzle is doing
+let tap = (entities, entity, i) => {
+    let clicked = entities['piece' + i];
+    clicked.clicked = 16;
+    let result = rules.move(board, i);
+    let move = result.move;
+    if (result.changes > 0) {
+        hideHint(entities);
+        history.push(board);
+        board = result.board;
+        animate(entities, result);
+        solution.push(i);
+        soundSystem.playSong(tapSounds[move]);
+        
+        // Analytics: Track each move
+        if (window.analytics && window.currentLevelId) {
+            const moveTime = Date.now() - window.levelStartTime;
+            window.analytics.recordTask(
+                window.currentLevelId,
+                'move_' + solution.length,
+                'Move #' + solution.length + ': ' + move + ' at position ' + i,
+                'successful',
+                'successful',
+                moveTime,
+                5
+            );
+            window.analytics.addRawMetric('moves_made', solution.length);
+        }
+    } else {
+        soundSystem.playSong(dabSounds[move]);
+    }
+    let tapsLeft = entity.puzzle.taps - solution.length;
+    entities.tapstext.text.text = tapsLeft + ' moves';
+    showHistory(entities);
+
+    let status = rules.status(board, tapsLeft);
+
+    // check puzzle complete
+    if (status === 'clean') {
+        // the daily comes back around, to show how it went
+        if (entity.puzzle.daily === true) {
+            swipedRight = true;
+        } else {
+            swipedLeft = true;
+        }
+        swipeWait = 750;
+        swiped = true;
+        soundSystem.playSong(victorySound);
+        let stars = (entity.puzzle.par === undefined)
+            ? 0
+            : starsSystem.rate(solution.length, entity.puzzle.par);
+        entities.feedback.text.text = (stars > 0)
+            ? 'Clean! ' + starsSystem.show(stars)
+            : 'Clean!';
+        let levels = entities.game.levels;
+        let sequence = (
+            dataSystem.load('payed')
+        ) ? levels.wm : levels.sequence;
+        let puzzleId = sequence[levels.current];
+        if (entity.puzzle.daily === true) {
+            dailySystem.record(entity.puzzle.date, {
+                moves: solution.length,
+                taps: entity.puzzle.taps,
+                stars,
+                time: Date.now() - window.levelStartTime
+            });
+        // the daily board changes every day, no use keeping its solutions
+        } else if (entity.puzzle.oneOff !== true) {
+            if (solved.indexOf(puzzleId) < 0) {
+                solved.push(puzzleId);
+                dataSystem.save('solved', solved);
+            }
+            if (stars > 0) {
+                starsSystem.save(puzzleId, stars);
+            }
+            if (solutions[puzzleId] === undefined) {
+                solutions[puzzleId] = [];
+            }
+            let jsonSolution = JSON.stringify(solution);
+            if (solutions[puzzleId].indexOf(jsonSolution) === -1) {
+                solutions[puzzleId].push(jsonSolution);
+                dataSystem.save('solutions', solutions);
+            }
+        }
+        
+        // Analytics: Track victory
+        if (window.analytics && window.currentLevelId) {
+            const timeTaken = Date.now() - window.levelStartTime;
+            const maxMoves = entity.puzzle.taps || 0;
+            const movesUsed = solution.length;
+            
+            // Calculate XP with bonuses
+            const baseXP = 100;
+            const moveBonus = maxMoves > 0 ? Math.max(0, (maxMoves - movesUsed) * 10) : 0;
+            const timeBonus = Math.max(0, 50 - Math.floor(timeTaken / 5000));
+            const hintPenalty = hintsUsed * hintXP;
+            const totalXP = Math.max(0, baseXP + moveBonus + timeBonus - hintPenalty);
+            
+            window.analytics.addRawMetric('victory', true);
+            window.analytics.addRawMetric('moves_remaining', tapsLeft);
+            window.analytics.addRawMetric('stars', stars);
+            window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
+            window.analytics.endLevel(window.currentLevelId, true, timeTaken, totalXP);
+            window.analytics.submitReport();
+            
+            // Progress Manager: Track level completion, the daily isn't a step in the sequence
+            if (window.progressManager && window.progressManager.initialized) {
+                window.progressManager.setTotalStars(starsSystem.total());
+                const currentLevelIndex = entities.game.levels.current;
+                const levelData = {
+                    xp: totalXP,
+                    timeTaken: timeTaken,
+                    moves: movesUsed,
+                    successful: true
+                };
+                const pack = entities.game.levels.pack;
+                let completion;
+                if (entity.puzzle.daily === true) {
+                    completion = window.progressManager.handleDailyComplete(dailySystem.streak(), levelData);
+                } else if (pack) {
+                    // packs keep their own highest level
+                    completion = window.progressManager.handlePackLevelComplete(pack, currentLevelIndex, levelData);
+                } else {
+                    completion = window.progressManager.handleLevelComplete(currentLevelIndex, levelData);
+                }
+                completion.then(() => {
+                    console.log('[Progress] Level completion saved');
+                    
+                    // Get updated progress payload
+                    const progressPayload = window.progressManager.getProgressPayload();
+                    console.log('[Progress] Current progress:', progressPayload);
+                    
+                    // Send progress update to backend/wrapper if available
+                    if (window.ReactNativeWebView) {
+                        window.ReactNativeWebView.postMessage(JSON.stringify({
+                            type: 'PROGRESS_UPDATE',
+                            payload: progressPayload
+                        }));
+                    }
+                }).catch(error => {
+                    console.error('[Progress] Failed to save level completion:', error);
+                });
+            }
+        }
+    // check game over based on no taps left
+    } else if (status === 'outofmoves') {
+        swipedRight = true;
+        swipeWait = 750;
+        swiped = true;
+        soundSystem.playSong(failSound);
+        entities.feedback.text.text = 'Out of moves!';
+        
+        // Analytics: Track failure - out of moves
+        if (window.analytics && window.currentLevelId) {
+            const timeTaken = Date.now() - window.levelStartTime;
+            window.analytics.addRawMetric('victory', false);
+            window.analytics.addRawMetric('failure_reason', 'out_of_moves');
+            window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
+            window.analytics.endLevel(window.currentLevelId, false, timeTaken, 0);
+            window.analytics.submitReport();
+        }
+    // check for game over based on no clickables left
+    } else if (status === 'notclean') {
+        //console.log('No clickables left, but blank squares left!');
+        swipedRight = true;
+        swipeWait = 750;
+        swiped = true;
+        soundSystem.playSong(failSound);
+        entities.feedback.text.text = 'Not clean...';
+        
+        // Analytics: Track failure - no clickables
+        if (window.analytics && window.currentLevelId) {
+            const timeTaken = Date.now() - window.levelStartTime;
+            window.analytics.addRawMetric('victory', false);
+            window.analytics.addRawMetric('failure_reason', 'not_clean');
+            window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
+            window.analytics.endLevel(window.currentLevelId, false, timeTaken, 0);
+            window.analytics.submitReport();
+        }
+    // check for game over based on stuck
+    } else if (status === 'stuck') {
+        swipedRight = true;
+        swipeWait = 750;
+        swiped = true;
+        soundSystem.playSong(failSound);
+        entities.feedback.text.text = 'Stuck';
+        
+        // Analytics: Track failure - stuck
+        if (window.analytics && window.currentLevelId) {
+            const timeTaken = Date.now() - window.levelStartTime;
+            window.analytics.addRawMetric('victory', false);
+            window.analytics.addRawMetric('failure_reason', 'stuck');
+            window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
+            window.analytics.endLevel(window.currentLevelId, false, timeTaken, 0);
+            window.analytics.submitReport();
+        }
+    }
+    // time attack: cleaning adds to the clock, failing takes off it
+    if (entity.puzzle.timeAttack === true) {
+        timeAttackSystem.score(entities, status);
+    }
+    sayMove(entities, result, tapsLeft, status);
+};
+
+let showHistory = (entities) => {
+    entities.undo.undo.undos = history.length;
+    entities.undo.undo.redos = future.length;
+};
+
+// take back the last move, putting every piece back where it was
+let undo = (entities, entity) => {
+    if (history.length === 0) {
+        return;
+    }
+    board = history.pop();
+    future.push(solution.pop());
+    hideHint(entities);
+    boardSystem.lay(entities, board, entities.game.layout);
+    soundSystem.playSong(undoSound);
+    entities.tapstext.text.text = (entity.puzzle.taps - solution.length) + ' moves';
+    showHistory(entities);
+    mirrorSystem.announce('Move undone, ' + plural(entity.puzzle.taps - solution.length, 'move') + ' left');
+    undos = undos + 1;
+    if (window.analytics && window.currentLevelId) {
+        window.analytics.addRawMetric('undos', undos);
+    }
+};
+
+let redo = (entities, entity) => {
+    if (future.length === 0) {
+        return;
+    }
+    redos = redos + 1;
+    if (window.analytics && window.currentLevelId) {
+        window.analytics.addRawMetric('redos', redos);
+    }
+    tap(entities, entity, future.pop());
+};
+
+let hideHint = (entities) => {
+    entities.hintmark.hintmark.cell = -1;
+};
+
+let showHint = (entities, i) => {
+    let mark = entities.hintmark;
+    let {x, y} = layoutSystem.tileAt(entities.game, i);
+    mark.position.x = x;
+    mark.position.y = y;
+    mark.tile.scale = entities.game.layout.scale;
+    mark.hintmark.cell = i;
+    entities.hint.hint.left = entities.hint.hint.left - 1;
+    hintsUsed = hintsUsed + 1;
+    soundSystem.playSong(hintSound);
+    if (window.analytics && window.currentLevelId) {
+        window.analytics.addRawMetric('hints_used', hintsUsed);
+    }
+};
+
+// point at the first tap of a shortest way to clean the board from here.
+// On the way of the solution the puzzle comes with that is its next tap,
+// off it a search looks for one over the next update steps
+let hint = (entities, entity) => {
+    let tapsLeft = entity.puzzle.taps - solution.length;
+    if (entities.hint.hint.left <= 0 || tapsLeft <= 0 || hintSearch !== undefined) {
+        return;
+    }
+    let puzzle = entity.puzzle;
+    let i = (Array.isArray(puzzle.solution))
+        ? solver.routeTap(rules.create(puzzle.grid, puzzle), puzzle.solution, board, tapsLeft)
+        : undefined;
+    if (i !== undefined) {
+        showHint(entities, i);
+        return;
+    }
+    hintSearch = solver.tapSearch(board, tapsLeft);
+    hintBoard = board;
+    entities.hint.hint.searching = true;
+    mirrorSystem.announce('Looking for a hint');
+};
+
+// a bit more of the hint search, dropped when the board moved on
+let searchHint = (entities) => {
+    if (hintSearch === undefined) {
+        return;
+    }
+    if (hintBoard === board && !hintSearch.run(hintMoves)) {
+        return;
+    }
+    let search = hintSearch;
+    hintSearch = undefined;
+    entities.hint.hint.searching = false;
+    if (hintBoard !== board) {
+        return;
+    }
+    if (search.tap < 0) {
+        // no way to clean up from here, the hint isn't used up
+        mirrorSystem.announce('No way to clean it from here');
+        soundSystem.playSong(failSound);
+        return;
+    }
+    showHint(entities, search.tap);
+};
+
+let placeCursor = (entities) => {
+    let cursor = entities.cursor;
+    let {x, y} = layoutSystem.tileAt(entities.game, cursor.cursor.cell);
+    cursor.position.x = x;
+    cursor.position.y = y;
+    cursor.tile.scale = entities.game.layout.scale;
+};
+
+// the first key only brings the cursor up, where it was last
+let moveCursor = (entities, dir) => {
+    let cursor = entities.cursor.cursor;
+    let layout = entities.game.layout;
+    if (cursor.visible) {
+        let col = Math.min(Math.max(cursor.cell % layout.cols + dir.x, 0), layout.cols - 1);
+        let row = Math.min(Math.max(((cursor.cell / layout.cols) | 0) + dir.y, 0), layout.rows - 1);
+        cursor.cell = col + row * layout.cols;
+    }
+    cursor.visible = true;
+    placeCursor(entities);
+};
+
+// analytics get the input a level is played with, again when it changes
+let inputFrom = (source) => {
+    if (source !== inputSource && window.analytics && window.currentLevelId) {
+        window.analytics.addRawMetric('input_source', source);
+    }
+    inputSource = source;
+};
+
+// Enter, Space or A: a tap on the tile under the cursor, on to the next
+// puzzle from a text screen
+let cursorTap = (entities, entity, source) => {
+    let cursor = entities.cursor.cursor;
+    if (entity.puzzle.daily === true && entity.puzzle.text !== undefined) {
+        copyDaily(entities, entity);
+        return;
+    }
+    if (entity.puzzle.text !== undefined) {
+        wheelLeft = true;
+        return;
+    }
+    if (!cursor.visible) {
+        moveCursor(entities, {x: 0, y: 0});
+        return;
+    }
+    tapAt(entities, entity, cursor.cell, source);
+};
+
+// a tap on tile i from anything but the pointer
+let tapAt = (entities, entity, i, source) => {
+    if (solution.length >= entity.puzzle.taps || entities.replay.replay.active) {
+        return;
+    }
+    if (!rules.isClickable(board, i)) {
+        return;
+    }
+    future = [];
+    inputFrom(source);
+    tap(entities, entity, i);
+};
+
+let currentPuzzleId = (entities) => {
+    let sequence = (
+        dataSystem.load('payed')
+    ) ? entities.game.levels.wm : entities.game.levels.sequence;
+    return sequence[entities.game.levels.current];
+};
+
+// play stored solution index from the start, with the normal animations
+let startReplay = (entities, entity, index) => {
+    let replay = entities.replay.replay;
+    let stored = solutions[currentPuzzleId(entities)] || [];
+    if (stored.length === 0) {
+        return;
+    }
+    replay.index = (index + stored.length) % stored.length;
+    replayTaps = JSON.parse(stored[replay.index]);
+    replayWait = replayDelay;
+    replay.active = true;
+    replay.playing = true;
+    replay.step = 0;
+    replay.steps = replayTaps.length;
+    solution = [];
+    history = [];
+    future = [];
+    hideHint(entities);
+    board = rules.create(entity.puzzle.grid, entity.puzzle);
+    boardSystem.lay(entities, board, entities.game.layout);
+    entities.tapstext.text.text = entity.puzzle.taps + ' moves';
+    showHistory(entities);
+    // nothing to undo or hint while watching
+    entities.controls.state.draws = [
+        'bgcut',
+        'bgout',
+        'feedback',
+        'tunnel',
+        'tapstext',
+        'titletext',
+        'replay'
+    ];
+    entities.controls.state.updates = [
+        'replay'
+    ];
+};
+
+let replayStep = (entities, entity) => {
+    let replay = entities.replay.replay;
+    let result = rules.move(board, replayTaps[replay.step]);
+    if (result.changes === 0) {
+        // stored for a puzzle that has changed since
+        replay.playing = false;
+        replay.steps = replay.step;
+        return;
+    }
+    entities['piece' + replayTaps[replay.step]].clicked = 16;
+    board = result.board;
+    animate(entities, result);
+    solution.push(replayTaps[replay.step]);
+    soundSystem.playSong(tapSounds[result.move]);
+    entities.tapstext.text.text = (entity.puzzle.taps - solution.length) + ' moves';
+    replay.step = replay.step + 1;
+    if (replay.step >= replay.steps) {
+        replay.playing = false;
+    }
+};
+
+let replayControl = (entities, entity, button) => {
+    let replay = entities.replay.replay;
+    if (button === 'replay') {
+        startReplay(entities, entity, 0);
+    } else if (button === 'prev') {
+        startReplay(entities, entity, replay.index - 1);
+    } else if (button === 'next') {
+        startReplay(entities, entity, replay.index + 1);
+    } else if (button === 'play' && replay.step >= replay.steps) {
+        startReplay(entities, entity, replay.index);
+    } else if (button === 'play') {
+        replay.playing = !replay.playing;
+        replayWait = 0;
+    } else if (button === 'step' && replay.step < replay.steps) {
+        replay.playing = false;
+        replayStep(entities, entity);
+    }
+};
+
+// the daily result screen copies its summary on a tap
+let copyDaily = (entities, entity) => {
+    let line = entities['text' + entity.puzzle.text.indexOf(dailySystem.copyLine)];
+    dailySystem.copy(entity.puzzle.date).then(() => {
+        line.text.text = 'Copied!';
+    }, () => {
+        line.text.text = 'Could not copy, sorry.';
+    });
+};
+
 let update = (entities, entity, time, delta) => {
+    lastGame = entities.game;
     if (entity.puzzle.init === true) {
         entity.puzzle.init = false;
         solution= [];
+        history = [];
+        future = [];
+        undos = 0;
+        redos = 0;
+        hintsUsed = 0;
+        entities.hint.hint.left = (entity.puzzle.hints === undefined)
+            ? hintsPerPuzzle
+            : entity.puzzle.hints;
+        hideHint(entities);
+        // input from before this puzzle came up isn't meant for it
+        wheelLeft = false;
+        wheelRight = false;
+        undoPressed = false;
+        redoPressed = false;
+        cursorMove = undefined;
+        keyTap = false;
+        keyReset = false;
+        inputSource = '';
+        if (entity.puzzle.daily === true) {
+            dailySystem.setup(entity.puzzle);
+        }
+        board = rules.create(entity.puzzle.grid, entity.puzzle);
+        let layout = boardSystem.fit(entities, board);
+        if (entities.cursor.cursor.cell >= layout.cols * layout.rows) {
+            entities.cursor.cursor.cell = 0;
+        }
+        placeCursor(entities);
+        // the move counter, title and progress dots hug the board
+        entities.tapstext.position.y = layout.y - 18;
+        entities.titletext.position.y = layout.y - 18;
+        entities.progress.position.y = layout.y + layout.h + 18
+            - entities.game.canvas.tH / 2;
+        entities.undo.position.y = layout.y - 18;
+        entities.hint.position.y = layout.y - 18;
+        entities.replay.position.y = layout.y + layout.h + 14;
+        entities.clock.position.y = layout.y + layout.h + 14;
+        showHistory(entities);
         entities.tapstext.text.text = (entity.puzzle.taps)
             ? entity.puzzle.taps + ' moves'
             : '';
         let sequence = (
             dataSystem.load('payed')
         ) ? entities.game.levels.wm : entities.game.levels.sequence;
-        let puzzleId = sequence[entities.game.levels.current];
+        let puzzleId = (entity.puzzle.name !== undefined)
+            ? entity.puzzle.name
+            : sequence[entities.game.levels.current];
         
-        // Analytics: Start tracking level
-        window.currentLevelId = 'level_' + entities.game.levels.current + '_' + puzzleId;
-        window.levelStartTime = Date.now();
-        if (window.analytics) {
-            window.analytics.startLevel(window.currentLevelId);
-            window.analytics.addRawMetric('puzzle_name', puzzleId);
-            window.analytics.addRawMetric('level_number', entities.game.levels.current);
-            window.analytics.addRawMetric('max_moves', entity.puzzle.taps || 0);
+        // Analytics: Start tracking level, one-off puzzles (editor drafts, shared codes) are left out
+        if (entity.puzzle.oneOff === true) {
+            window.currentLevelId = undefined;
+        } else {
+            window.currentLevelId = 'level_' + entities.game.levels.current + '_' + puzzleId;
+            window.levelStartTime = Date.now();
+            if (window.analytics) {
+                window.analytics.startLevel(window.currentLevelId);
+                window.analytics.addRawMetric('puzzle_name', puzzleId);
+                window.analytics.addRawMetric('level_number', entities.game.levels.current);
+                window.analytics.addRawMetric('max_moves', entity.puzzle.taps || 0);
+                if (entities.game.levels.pack) {
+                    window.analytics.addRawMetric('puzzle_pack', entities.game.levels.pack);
+                }
+            }
         }
         
+        // pack puzzles go by the title they have in their pack
         entities.titletext.text.text = (entity.puzzle.taps)
-            ? 'The ' + puzzleId
+            ? 'The ' + (entity.puzzle.title || puzzleId)
             : '';
+        if (entity.puzzle.taps) {
+            mirrorSystem.announce(entities.titletext.text.text + ', ' + plural(entity.puzzle.taps, 'move'));
+        }
+        // solved puzzles can replay the solutions stored for them
+        let replay = entities.replay.replay;
+        replay.active = false;
+        replay.playing = false;
+        replay.pressed = '';
+        replay.solutions = (entity.puzzle.oneOff === true || entity.puzzle.daily === true)
+            ? 0
+            : (solutions[puzzleId] || []).length;
         let state = entities.level.state;
-        state.draws = [];
-        entity.puzzle.grid.forEach((p, i) => {
-            let x = i % 6;
-            let y = (i / 6) | 0;
-            let id = 'piece' + i;
-            let entity = entitySystem.add(
-                entities,
-                id,
-                ...pieces[p]
-            );
-            entity.position.x = entity.home.x = 16 + x * 48;
-            entity.position.y = entity.home.y = 62 + y * 48;
-            state.draws.push(id);
-            state.updates.push(id);
-            let topid = 'top' + i;
-            let topentity = entitySystem.add(
-                entities,
-                topid,
-                ...pieces[0]
-            );
-            topentity.position.x = topentity.home.x = 16 + x * 48;
-            topentity.position.y = topentity.home.y = 62 + y * 48;
-            state.draws.push(topid);
-            state.updates.push(topid);
-        });
+        boardSystem.lay(entities, board, layout);
+        state.draws = boardSystem.ids(board);
+        state.updates.push(...boardSystem.ids(board));
         if (entity.puzzle.text !== undefined) {
             entity.puzzle.text.forEach((t, i, a) => {
                 let id = 'text' + i;
@@ -151,7 +811,7 @@ let update = (entities, entity, time, delta) => {
                 let topentity = entitySystem.add(
                     entities,
                     topid,
-                    ...pieces[0]
+                    ...boardSystem.pieces[0]
                 );
             });
         }
@@ -177,14 +837,52 @@ let update = (entities, entity, time, delta) => {
                 'tunnel',
                 'tapstext',
                 'titletext',
+                'undo',
+                'hint',
+                'hintmark',
+                'cursor',
+                'replay',
                 'progress'
             ];
             entities.controls.state.updates = [
+                'undo',
+                'hint',
+                'replay',
                 'progress'
             ];
+            // a one-off puzzle has no place among the progress dots
+            if (entity.puzzle.oneOff === true) {
+                entities.controls.state.draws.pop();
+                entities.controls.state.updates.pop();
+            }
+            if (entity.puzzle.timeAttack === true) {
+                entities.controls.state.draws.push('clock');
+                entities.controls.state.updates.push('clock');
+            }
         }
     }
     let game = entities.game;
+    // R resets like a swipe, but never leaves the puzzle
+    if (keyReset && !swiped && solution.length > 0) {
+        wheelRight = true;
+    }
+    keyReset = false;
+    // the shoulder buttons and the buttons of the mirror swipe
+    let pad = game.gamepad.pressed;
+    if (!swiped && (pad.back || game.mirror.back)) {
+        wheelRight = true;
+    }
+    if (!swiped && (pad.forward || game.mirror.forward)) {
+        wheelLeft = true;
+    }
+    // out of time, the board goes whatever is on it
+    if (!swiped && entity.puzzle.timeAttack === true && timeAttackSystem.timeUp(entities)) {
+        entities.feedback.text.text = 'Time\'s up!';
+        soundSystem.playSong(failSound);
+        swipedLeft = true;
+        swipeWait = 750;
+        swiped = true;
+    }
     if (wheelRight) {
         if (entity.puzzle.lT) {
             entities.feedback.text.text = entity.puzzle.lT;
@@ -249,8 +947,17 @@ let update = (entities, entity, time, delta) => {
                 Math.abs(homeX - game.canvas.oX)
                 < 1 / entities.game.canvas.zoom
             ) {
-                // Analytics: Track level abandonment if in progress
-                if (window.analytics && window.currentLevelId && window.levelStartTime > 0 && solution.length > 0) {
+                // puzzles played from elsewhere, like the editor, go back there
+                if (entity.puzzle.back !== undefined) {
+                    game.canvas.oX = game.canvas.oX + game.canvas.gW * 2 * dir;
+                    swipedLeft = false;
+                    swipedRight = false;
+                    game.statemachine.active = entity.puzzle.back;
+                    return;
+                }
+                // Analytics: Track level abandonment if in progress, the taps
+                // of a replay were never played
+                if (window.analytics && window.currentLevelId && window.levelStartTime > 0 && solution.length > 0 && !entities.replay.replay.active) {
                     const timeTaken = Date.now() - window.levelStartTime;
                     const level = window.analytics._getLevelById(window.currentLevelId);
                     // Only track if level hasn't been marked as complete yet
@@ -268,21 +975,33 @@ let update = (entities, entity, time, delta) => {
                 let sequence = (
                     dataSystem.load('payed')
                 ) ? entities.game.levels.wm : entities.game.levels.sequence;
-                if (swipedLeft || solution.length === 0) {
-                    let oldLevel = levels.current;
-                    levels.current = Math.min(
-                        Math.max(levels.current + dir, 0),
-                        sequence.length - 1
-                    );
-                    dataSystem.save('current', levels.current);
-                    if (oldLevel === levels.current) {
-                        dir = -dir;
+                let state = entities.level.state;
+                // one-off puzzles, like shared ones, play again on reset
+                // and hand over to the sequence where it was left otherwise
+                let oneOff = entity.puzzle.oneOff === true;
+                if (entity.puzzle.timeAttack === true) {
+                    // a time attack run picks its own next puzzle
+                    timeAttackSystem.next(entities, swipedLeft);
+                } else if (oneOff && swipedRight && solution.length > 0) {
+                    entity.puzzle.init = true;
+                    // the puzzle itself comes first in the level updates
+                    state.updates = state.updates.slice(0, 1);
+                } else {
+                    if (!oneOff && (swipedLeft || solution.length === 0)) {
+                        let oldLevel = levels.current;
+                        levels.current = Math.min(
+                            Math.max(levels.current + dir, 0),
+                            sequence.length - 1
+                        );
+                        dataSystem.save(packSystem.key(levels, 'current'), levels.current);
+                        if (oldLevel === levels.current) {
+                            dir = -dir;
+                        }
                     }
+                    let puzzleId = sequence[levels.current];
+                    entities[puzzleId].puzzle.init = true;
+                    state.updates = [puzzleId];
                 }
-                let puzzleId = sequence[levels.current];
-                entities[puzzleId].puzzle.init = true;
-                let state = entities.level.state;
-                state.updates = [puzzleId];
                 game.canvas.oX = game.canvas.oX + game.canvas.gW * 2 * dir;
                 swipedLeft = false;
                 swipedRight = false;
@@ -297,6 +1016,74 @@ let update = (entities, entity, time, delta) => {
             swiped = false;
         }
     }
+    let pressed = entities.undo.undo.pressed;
+    let undoing = undoPressed || game.pointer.justTwoFingers || pressed === 'undo' || pad.undo;
+    let redoing = redoPressed || pressed === 'redo' || pad.redo;
+    let hinting = entities.hint.hint.pressed;
+    let replay = entities.replay.replay;
+    let replayPressed = replay.pressed;
+    entities.undo.undo.pressed = '';
+    entities.hint.hint.pressed = false;
+    replay.pressed = '';
+    undoPressed = false;
+    redoPressed = false;
+    let padDir = Object.keys(padMoves).find(action => pad[action]);
+    let cursorDir = cursorMove || padMoves[padDir];
+    let keyTapping = keyTap;
+    cursorMove = undefined;
+    keyTap = false;
+    let cursor = entities.cursor.cursor;
+    let pointerNow = game.pointer.x + ',' + game.pointer.y;
+    if (game.pointer.justDown || pointerNow !== pointerAt) {
+        cursor.visible = false;
+    }
+    pointerAt = pointerNow;
+    if (!swiped && replayPressed) {
+        replayControl(entities, entity, replayPressed);
+        return;
+    }
+    if (replay.active) {
+        // the replay does the tapping, until it's swiped away
+        undoing = false;
+        redoing = false;
+        hinting = false;
+        if (!swiped && replay.playing) {
+            replayWait = replayWait - delta;
+            if (replayWait <= 0) {
+                replayWait = replayDelay;
+                replayStep(entities, entity);
+            }
+        }
+    }
+    searchHint(entities);
+    if (!swiped && hinting) {
+        hint(entities, entity);
+        return;
+    }
+    if (!swiped && undoing) {
+        undo(entities, entity);
+        return;
+    }
+    if (!swiped && redoing) {
+        redo(entities, entity);
+        return;
+    }
+    if (!swiped && cursorDir !== undefined && entity.puzzle.text === undefined) {
+        moveCursor(entities, cursorDir);
+        return;
+    }
+    if (!swiped && keyTapping) {
+        cursorTap(entities, entity, 'keyboard');
+        return;
+    }
+    if (!swiped && pad.tap) {
+        cursorTap(entities, entity, 'gamepad');
+        return;
+    }
+    if (!swiped && game.mirror.cell > -1) {
+        tapAt(entities, entity, game.mirror.cell, 'screen_reader');
+        return;
+    }
     if (entities.game.pointer.justUp === true) {
         let swipeX = game.pointer.x - game.pointer.downX;
         if (swipeX > 48) {
@@ -313,311 +1100,36 @@ let update = (entities, entity, time, delta) => {
             swiped = true;
             return;
         }
-        let x = entities.game.pointer.x
-            - 16 - (entities.game.canvas.gW - entities.game.canvas.tW) / 2;
-        let y = entities.game.pointer.y
-            - 62 - (entities.game.canvas.gH - entities.game.canvas.tH) / 2;
-        if (solution.length >= entity.puzzle.taps) {
+        if (entity.puzzle.daily === true && entity.puzzle.text !== undefined) {
+            copyDaily(entities, entity);
             return;
         }
-        if (x < 0 || x > 288 || y < 0 || y > 288) {
+        if (solution.length >= entity.puzzle.taps || replay.active) {
             return;
         }
-        x =  (x / 48) | 0;
-        y = (y / 48) | 0;
-        let i = x + y * 6;
-        //console.log('klik', i);
-        let moves = {
-            arrowup: a => {
-                return shiftPieces(
-                    -6,
-                    35,
-                    0,
-                    a
-                );
-            },
-            arrowright: a => {
-                return shiftPieces(
-                    1,
-                    i + (5 - (i % 6)),
-                    i - (i % 6),
-                    a
-                );
-            },
-            arrowdown: a => {
-                return shiftPieces(
-                    6,
-                    35,
-                    0,
-                    a
-                );
-            },
-            arrowleft: a => {
-                return shiftPieces(
-                    -1,
-                    i + (5 - (i % 6)),
-                    i - (i % 6),
-                    a
-                );
-            },
-            xsquare: a => {
-                // remove square
-                if (a) {
-                    delete entities['piece' + i].xsquare;
-                }
-                return 1;
-            },
-            neutronstar: a => {
-                // remove square
-                if (a) {
-                    delete entities['piece' + i].neutronstar;
-                    entities['piece' + i].blackhole = {};
-                    entities['top' + i].neutronstar = {};
-                    entities['top' + i].home.suck = true;
-                }
-                return 1;
-            }
-        };
-        let shiftPieces = (search, max, min, applyChanges = true) => {
-            //console.log('push stuff down');
-            let next = entities['piece' + i];
-            let j = i;
-            let changes = [];
-            let stop = false;
-            while (!stop) {
-                next = entities['piece' + j];
-                if (pushables.some(prop => next[prop] !== undefined)) {
-                    changes.unshift('top' + j);
-                    changes.push('piece' + j);
-                } else {
-                    if (next.blackhole !== undefined) {
-                        changes.unshift('top' + j);
-                    } else {
-                        changes.unshift('top' + j);
-                        changes.push('piece' + j);
-                    }
-                    stop = true;
-                    break;
-                }
-                j = j + search;
-                if (j > max || j < min) {
-                    changes = [];
-                    stop = true;
-                }
-            }
-            if (!applyChanges) {
-                return changes.length;
-            }
-            if (changes.length < 1) {
-                return 0;
-            }
-            //console.log(changes);
-            let firstId = changes.shift();
-            let prev = entities[firstId];
-            let firstHome = prev.home;
-            let nextHome;
-            let nextE;
-            changes.forEach(id => {
-                nextE = entities[id];
-                nextHome = nextE.home;
-                entities[id] = prev;
-                entities[id].home = nextHome;
-                prev = nextE;
-            });
-            entities[firstId] = prev;
-            // remove square
-            entities[firstId].home = firstHome;
-            entities[firstId].home.suck = true;
-            return changes.length;
-        };
-        let clicked = entities['piece' + i];
-        Object.keys(moves).forEach(move => {
-            if (clicked[move]) {
-                clicked.clicked = 16;
-                let nChanges = moves[move](true);
-                if (nChanges > 0) {
-                    solution.push(i);
-                    soundSystem.playSong(tapSounds[move]);
-                    
-                    // Analytics: Track each move
-                    if (window.analytics && window.currentLevelId) {
-                        const moveTime = Date.now() - window.levelStartTime;
-                        window.analytics.recordTask(
-                            window.currentLevelId,
-                            'move_' + solution.length,
-                            'Move #' + solution.length + ': ' + move + ' at position ' + i,
-                            'successful',
-                            'successful',
-                            moveTime,
-                            5
-                        );
-                        window.analytics.addRawMetric('moves_made', solution.length);
-                    }
-                } else {
-                    soundSystem.playSong(dabSounds[move]);
-                }
-                let tapsLeft = entity.puzzle.taps - solution.length;
-                entities.tapstext.text.text = tapsLeft + ' moves';
-
-                // check puzzle complete
-                if (!entity.puzzle.grid.some((e, i) => pushables.some(
-                    prop => entities['piece' + i][prop] !== undefined
-                ))) {
-                    swipedLeft = true;
-                    swipeWait = 750;
-                    swiped = true;
-                    soundSystem.playSong(victorySound);
-                    entities.feedback.text.text = 'Clean!';
-                    let levels = entities.game.levels;
-                    let sequence = (
-                        dataSystem.load('payed')
-                    ) ? levels.wm : levels.sequence;
-                    let puzzleId = sequence[levels.current];
-                    if (solved.indexOf(puzzleId) < 0) {
-                        solved.push(puzzleId);
-                        dataSystem.save('solved', solved);
-                    }
-                    if (solutions[puzzleId] === undefined) {
-                        solutions[puzzleId] = [];
-                    }
-                    let jsonSolution = JSON.stringify(solution);
-                    if (solutions[puzzleId].indexOf(jsonSolution) === -1) {
-                        solutions[puzzleId].push(jsonSolution);
-                        dataSystem.save('solutions', solutions);
-                    }
-                    
-                    // Analytics: Track victory
-                    if (window.analytics && window.currentLevelId) {
-                        const timeTaken = Date.now() - window.levelStartTime;
-                        const maxMoves = entity.puzzle.taps || 0;
-                        const movesUsed = solution.length;
-                        
-                        // Calculate XP with bonuses
-                        const baseXP = 100;
-                        const moveBonus = maxMoves > 0 ? Math.max(0, (maxMoves - movesUsed) * 10) : 0;
-                        const timeBonus = Math.max(0, 50 - Math.floor(timeTaken / 5000));
-                        const totalXP = baseXP + moveBonus + timeBonus;
-                        
-                        window.analytics.addRawMetric('victory', true);
-                        window.analytics.addRawMetric('moves_remaining', tapsLeft);
-                        window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
-                        window.analytics.endLevel(window.currentLevelId, true, timeTaken, totalXP);
-                        window.analytics.submitReport();
-                        
-                        // Progress Manager: Track level completion
-                        if (window.progressManager && window.progressManager.initialized) {
-                            const currentLevelIndex = entities.game.levels.current;
-                            window.progressManager.handleLevelComplete(currentLevelIndex, {
-                                xp: totalXP,
-                                timeTaken: timeTaken,
-                                moves: movesUsed,
-                                successful: true
-                            }).then(() => {
-                                console.log('[Progress] Level completion saved');
-                                
-                                // Get updated progress payload
-                                const progressPayload = window.progressManager.getProgressPayload();
-                                console.log('[Progress] Current progress:', progressPayload);
-                                
-                                // Send progress update to backend/wrapper if available
-                                if (window.ReactNativeWebView) {
-                                    window.ReactNativeWebView.postMessage(JSON.stringify({
-                                        type: 'PROGRESS_UPDATE',
-                                        payload: progressPayload
-                                    }));
-                                }
-                            }).catch(error => {
-                                console.error('[Progress] Failed to save level completion:', error);
-                            });
-                        }
-                    }
-                // check game over based on no taps left
-                } else if (tapsLeft <= 0) {
-                    swipedRight = true;
-                    swipeWait = 750;
-                    swiped = true;
-                    soundSystem.playSong(failSound);
-                    entities.feedback.text.text = 'Out of moves!';
-                    
-                    // Analytics: Track failure - out of moves
-                    if (window.analytics && window.currentLevelId) {
-                        const timeTaken = Date.now() - window.levelStartTime;
-                        window.analytics.addRawMetric('victory', false);
-                        window.analytics.addRawMetric('failure_reason', 'out_of_moves');
-                        window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
-                        window.analytics.endLevel(window.currentLevelId, false, timeTaken, 0);
-                        window.analytics.submitReport();
-                    }
-                // check for game over based on no clickables left
-                } else if (!entity.puzzle.grid.some((e, i) => clickables.some(
-                    prop => entities['piece' + i][prop] !== undefined
-                ))) {
-                    //console.log('No clickables left, but blank squares left!');
-                    swipedRight = true;
-                    swipeWait = 750;
-                    swiped = true;
-                    soundSystem.playSong(failSound);
-                    entities.feedback.text.text = 'Not clean...';
-                    
-                    // Analytics: Track failure - no clickables
-                    if (window.analytics && window.currentLevelId) {
-                        const timeTaken = Date.now() - window.levelStartTime;
-                        window.analytics.addRawMetric('victory', false);
-                        window.analytics.addRawMetric('failure_reason', 'not_clean');
-                        window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
-                        window.analytics.endLevel(window.currentLevelId, false, timeTaken, 0);
-                        window.analytics.submitReport();
-                    }
-                // check for game over based on stuck
-                } else {
-                    i = 0;
-                    let stuck = true;
-                    while (i < 36 && stuck) {
-                        let tested = entities['piece' + i];
-                        Object.keys(moves).forEach(move => {
-                            if (tested[move]) {
-                                let nChanges = moves[move](false);
-                                if (nChanges > 0) {
-                                    stuck = false;
-                                }
-                            }
-                        });
-                        i = i + 1;
-                    }
-                    if (stuck) {
-                        swipedRight = true;
-                        swipeWait = 750;
-                        swiped = true;
-                        soundSystem.playSong(failSound);
-                        entities.feedback.text.text = 'Stuck';
-                        
-                        // Analytics: Track failure - stuck
-                        if (window.analytics && window.currentLevelId) {
-                            const timeTaken = Date.now() - window.levelStartTime;
-                            window.analytics.addRawMetric('victory', false);
-                            window.analytics.addRawMetric('failure_reason', 'stuck');
-                            window.analytics.addRawMetric('time_seconds', (timeTaken / 1000).toFixed(2));
-                            window.analytics.endLevel(window.currentLevelId, false, timeTaken, 0);
-                            window.analytics.submitReport();
-                        }
-                    }
-                }
-            }
-        });
-    } else if (!entities.game.pointer.isDown) {
-        let x = entities.game.pointer.x
-            - 16 - (entities.game.canvas.gW - entities.game.canvas.tW) / 2;
-        let y = entities.game.pointer.y
-            - 62 - (entities.game.canvas.gH - entities.game.canvas.tH) / 2;
-        if (x < 0 || x > 288 || y < 0 || y > 288) {
+        let i = layoutSystem.cellAt(
+            entities.game,
+            entities.game.pointer.x,
+            entities.game.pointer.y
+        );
+        if (i < 0 || !rules.isClickable(board, i)) {
+            return;
+        }
+        future = [];
+        inputFrom(game.pointer.source);
+        tap(entities, entity, i);
+    } else if (!entities.game.pointer.isDown && !replay.active) {
+        let i = layoutSystem.cellAt(
+            entities.game,
+            entities.game.pointer.x,
+            entities.game.pointer.y
+        );
+        if (i < 0) {
             return;
         }
-        x =  (x / 48) | 0;
-        y = (y / 48) | 0;
-        let i = x + y * 6;
         if (
             entities['piece'+i] !== undefined
-            && clickables.some(prop => entities['piece'+i][prop] !== undefined)
+            && rules.isClickable(board, i)
         ) {
            entities.game.pointer.pointing = true;
            entities['piece'+i].clicked = 1;
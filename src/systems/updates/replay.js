@@ -0,0 +1,41 @@
+// hit boxes, along the row under the board
+let idle = [
+    {button: 'replay', x: 0, w: 16}
+];
+let active = [
+    {button: 'prev', x: 0, w: 16},
+    {button: 'next', x: 64, w: 16},
+    {button: 'play', x: 240, w: 16},
+    {button: 'step', x: 264, w: 16}
+];
+
+let update = (entities, entity) => {
+    let replay = entity.replay;
+    if (replay.solutions === 0) {
+        return;
+    }
+    let canvas = entities.game.canvas;
+    let x = entities.game.pointer.x - canvas.gX - entity.position.x;
+    let y = entities.game.pointer.y - canvas.gY - entity.position.y;
+    if (y < 0 || y > 16) {
+        return;
+    }
+    let box = ((replay.active) ? active : idle).find(
+        b => x >= b.x && x <= b.x + b.w
+    );
+    if (box === undefined) {
+        return;
+    }
+    // only one stored solution, nothing to pick
+    if ((box.button === 'prev' || box.button === 'next') && replay.solutions < 2) {
+        return;
+    }
+    entities.game.pointer.pointing = true;
+    if (entities.game.pointer.justUp) {
+        replay.pressed = box.button;
+    }
+};
+
+export default Object.freeze({
+    update
+});
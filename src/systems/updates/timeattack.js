@@ -0,0 +1,16 @@
+import timeAttackSystem from '../timeattack.js';
+
+// the clock runs down while a time attack board is up
+let update = (entities, entity, time, delta) => {
+    let run = entity.timeattack;
+    if (!run.running || run.left <= 0) {
+        return;
+    }
+    run.left = Math.max(0, run.left - delta);
+    run.elapsed = run.elapsed + delta;
+    entity.text.text = timeAttackSystem.show(run);
+};
+
+export default Object.freeze({
+    update
+});
@@ -0,0 +1,20 @@
+let update = (entities, entity) => {
+    let canvas = entities.game.canvas;
+    let x = entities.game.pointer.x - canvas.gX - entity.position.x;
+    let y = entities.game.pointer.y - canvas.gY - entity.position.y;
+    if (y < 0 || y > 16 || x < 0 || x > 40 || (x > 16 && x < 24)) {
+        return;
+    }
+    let button = (x < 16) ? 'undo' : 'redo';
+    if (entity.undo[button + 's'] === 0) {
+        return;
+    }
+    entities.game.pointer.pointing = true;
+    if (entities.game.pointer.justUp) {
+        entity.undo.pressed = button;
+    }
+};
+
+export default Object.freeze({
+    update
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import clockSystem from '../src/systems/clock.js';
+
+let {step, maxFrame} = clockSystem;
+
+// a game loop like the one in game.js, counting steps instead of updating
+let run = (clock) => {
+    let loop = {steps: 0, alpha: 0, acc: 0, timer: undefined};
+    let onF = time => {
+        let delta = (loop.timer === undefined) ? step : time - loop.timer;
+        loop.timer = time;
+        let frame = clockSystem.advance(loop.acc, delta);
+        loop.acc = frame.acc;
+        loop.steps = loop.steps + frame.steps;
+        loop.alpha = frame.alpha;
+        clock.request(onF);
+    };
+    clock.request(onF);
+    return loop;
+};
+
+test('a manual clock only runs frames when it ticks', () => {
+    let clock = clockSystem.manual(1000);
+    let times = [];
+    clock.request(time => times.push(time));
+    assert.deepEqual(times, []);
+    clock.tick(20);
+    clock.tick(20);
+    assert.deepEqual(times, [1020]);
+    assert.equal(clock.now(), 1040);
+});
+
+test('frames of any length add up to fixed steps', () => {
+    let clock = clockSystem.manual();
+    let loop = run(clock);
+    // the first frame is one step
+    clock.tick();
+    assert.equal(loop.steps, 1);
+    assert.equal(loop.alpha, 0);
+    // a second in frames of 10 ms is 60 steps, rounding doesn't lose one
+    for (let k = 0; k < 100; k++) {
+        clock.tick(10);
+    }
+    assert.equal(loop.steps, 61);
+    assert.ok(loop.alpha < 1e-6);
+});
+
+test('what is left over between steps is the alpha', () => {
+    let clock = clockSystem.manual();
+    let loop = run(clock);
+    clock.tick();
+    clock.tick(step * 2.5);
+    assert.equal(loop.steps, 3);
+    assert.ok(Math.abs(loop.alpha - 0.5) < 1e-9);
+    clock.tick(step / 4);
+    assert.equal(loop.steps, 3);
+    assert.ok(Math.abs(loop.alpha - 0.75) < 1e-9);
+    clock.tick(step / 4);
+    assert.equal(loop.steps, 4);
+    assert.equal(loop.alpha, 0);
+});
+
+test('a long frame counts as maxFrame', () => {
+    // 250 ms, 15 steps
+    let frame = clockSystem.advance(0, 5000);
+    assert.equal(frame.steps, Math.round(maxFrame / step));
+    assert.ok(frame.alpha < 1e-6);
+    assert.equal(clockSystem.advance(0, -20).steps, 0);
+});
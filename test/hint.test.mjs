@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import rules from '../src/systems/rules.js';
+import solver from '../src/systems/solver.js';
+
+let read = (path) => JSON.parse(
+    fs.readFileSync(new URL(path, import.meta.url))
+);
+
+// every board that comes with the game, by id
+let bundled = () => {
+    let entities = read('../src/entities.json');
+    let boards = Object.keys(entities).filter(id => (
+        entities[id].puzzle !== undefined && entities[id].puzzle.grid.length > 0
+    )).map(id => [id, entities[id].puzzle]);
+    let folder = new URL('../src/packs/', import.meta.url);
+    fs.readdirSync(folder).filter(file => file.endsWith('.json')).forEach(file => {
+        let pack = read('../src/packs/' + file);
+        pack.puzzles.forEach(puzzle => boards.push([pack.id + ':' + puzzle.id, puzzle]));
+    });
+    return boards;
+};
+
+test('there is a hint at the start of every bundled puzzle', () => {
+    bundled().forEach(([id, puzzle]) => {
+        let board = rules.create(puzzle.grid, puzzle);
+        let i = solver.nextTap(board, puzzle.taps);
+        assert.ok(rules.isClickable(board, i), id + ' has no next tap');
+        // the stored solution answers straight away
+        assert.equal(
+            solver.routeTap(board, puzzle.solution, board, puzzle.taps),
+            puzzle.solution[0],
+            id + ' has no solution to follow'
+        );
+    });
+});
+
+test('a stored solution is followed all the way', () => {
+    let {puzzle} = read('../src/entities.json').swivel;
+    let start = rules.create(puzzle.grid, puzzle);
+    let board = start;
+    puzzle.solution.forEach((i, k) => {
+        let taps = puzzle.taps - k;
+        assert.equal(solver.routeTap(start, puzzle.solution, board, taps), i);
+        board = rules.move(board, i).board;
+    });
+    assert.equal(rules.isClean(board), true);
+    // off the way it has nothing to say
+    let off = rules.legalMoves(start).find(i => i !== puzzle.solution[0]);
+    let elsewhere = rules.move(start, off).board;
+    assert.equal(solver.routeTap(start, puzzle.solution, elsewhere, puzzle.taps - 1), undefined);
+});
+
+test('a search spread over runs finds what one in one go does', () => {
+    let {puzzle} = read('../src/entities.json').snatch;
+    let board = rules.create(puzzle.grid, puzzle);
+    let search = solver.tapSearch(board, puzzle.taps);
+    let runs = 1;
+    while (!search.run(100)) {
+        runs = runs + 1;
+    }
+    assert.ok(runs > 1);
+    assert.equal(search.tap, solver.nextTap(board, puzzle.taps));
+    assert.equal(search.par, puzzle.par);
+    // none within too few taps
+    let short = solver.tapSearch(board, puzzle.par - 1);
+    short.run();
+    assert.equal(short.tap, -1);
+});
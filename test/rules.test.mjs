@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import rules from '../src/systems/rules.js';
+import solver from '../src/systems/solver.js';
+
+// piece keys by name, so the boards below read like the key table
+let key = {};
+rules.names.forEach((name, i) => {
+    key[name || 'empty'] = i;
+});
+let {empty, blackhole, blanksquare, arrowup, arrowright, wormhole, rotator, wall} = key;
+
+test('an arrow pushes the line into a black hole', () => {
+    let board = rules.create([arrowright, blanksquare, blackhole], {cols: 3, rows: 1});
+    let result = rules.move(board, 0);
+    assert.deepEqual(result.board.cells, [empty, arrowright, blackhole]);
+    assert.deepEqual(result.path, [0, 1, 2]);
+    assert.deepEqual(result.absorbed, [2]);
+    assert.equal(result.changes, 3);
+    // the board that went in stays as it was
+    assert.deepEqual(board.cells, [arrowright, blanksquare, blackhole]);
+});
+
+test('a piece comes out of the twin worm hole', () => {
+    let board = rules.create(
+        [arrowright, wormhole, empty, wormhole, blackhole],
+        {cols: 5, rows: 1}
+    );
+    let result = rules.move(board, 0);
+    assert.deepEqual(result.board.cells, [empty, wormhole, empty, wormhole, blackhole]);
+    assert.deepEqual(result.warped, [{i: 4, from: 3}]);
+    assert.deepEqual(result.absorbed, [4]);
+});
+
+test('a worm hole without a twin is a dead end', () => {
+    let board = rules.create([arrowright, wormhole, blackhole], {cols: 3, rows: 1});
+    assert.equal(rules.move(board, 0).changes, 0);
+});
+
+test('a push into a wall moves nothing', () => {
+    let board = rules.create([arrowright, blanksquare, wall], {cols: 3, rows: 1});
+    let result = rules.move(board, 0);
+    assert.equal(result.changes, 0);
+    assert.deepEqual(result.board.cells, board.cells);
+    assert.equal(rules.isClean(rules.create([wall, empty, wall], {cols: 3, rows: 1})), true);
+});
+
+test('a push over the edge comes back in on a wrapping board', () => {
+    let grid = [blanksquare, blackhole, arrowright];
+    let result = rules.move(rules.create(grid, {cols: 3, rows: 1, wrap: true}), 2);
+    assert.deepEqual(result.board.cells, [arrowright, blackhole, empty]);
+    assert.deepEqual(result.wrapped, [0]);
+    assert.deepEqual(result.absorbed, [1]);
+    // the same push on a board that doesn't wrap runs off the edge
+    assert.equal(rules.move(rules.create(grid, {cols: 3, rows: 1}), 2).changes, 0);
+});
+
+test('black holes with a number fill up', () => {
+    let grid = [arrowright, key.blackhole2];
+    let result = rules.move(rules.create(grid, {cols: 2, rows: 1}), 0);
+    assert.deepEqual(result.board.cells, [empty, key.blackhole1]);
+    assert.deepEqual(result.changed, [{i: 1, from: key.blackhole2, to: key.blackhole1}]);
+    // the last piece collapses it into a blank square, which needs cleaning
+    grid = [arrowright, key.blackhole1];
+    result = rules.move(rules.create(grid, {cols: 2, rows: 1}), 0);
+    assert.deepEqual(result.board.cells, [empty, blanksquare]);
+    assert.equal(rules.isClean(result.board), false);
+});
+
+test('neutron stars turn into black holes of the star capacity', () => {
+    let grid = [key.neutronstar];
+    let plain = rules.move(rules.create(grid, {cols: 1, rows: 1}), 0);
+    assert.deepEqual(plain.board.cells, [blackhole]);
+    let capped = rules.move(rules.create(grid, {cols: 1, rows: 1, starCapacity: 2}), 0);
+    assert.deepEqual(capped.board.cells, [key.blackhole2]);
+});
+
+test('X squares lose a layer per tap', () => {
+    let board = rules.create([key.xsquare3], {cols: 1, rows: 1});
+    let taps = [];
+    while (!rules.isClean(board)) {
+        board = rules.move(board, 0).board;
+        taps.push(board.cells[0]);
+    }
+    assert.deepEqual(taps, [key.xsquare2, key.xsquare, empty]);
+});
+
+test('a rotator turns the arrows next to it clockwise', () => {
+    let board = rules.create([
+        arrowup, arrowup, empty,
+        key.arrowleft, rotator, empty,
+        empty, empty, empty
+    ], {cols: 3, rows: 3});
+    let result = rules.move(board, 4);
+    assert.deepEqual(result.board.cells, [
+        arrowup, arrowright, empty,
+        arrowup, rotator, empty,
+        empty, empty, empty
+    ]);
+    assert.equal(result.changes, 2);
+    // with no arrows around it the tap is a dab
+    let alone = rules.create([rotator], {cols: 1, rows: 1});
+    assert.equal(rules.move(alone, 0).changes, 0);
+});
+
+test('the solver cleans click in its par', () => {
+    let entities = JSON.parse(
+        fs.readFileSync(new URL('../src/entities.json', import.meta.url))
+    );
+    let puzzle = entities.click.puzzle;
+    let result = solver.search(rules.create(puzzle.grid, puzzle), puzzle.taps);
+    assert.equal(result.solvable, true);
+    assert.equal(result.par, puzzle.par);
+    let board = result.solution.reduce(
+        (board, i) => rules.move(board, i).board,
+        rules.create(puzzle.grid, puzzle)
+    );
+    assert.equal(rules.isClean(board), true);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import share from '../src/systems/share.js';
+
+let {maxNumber} = share;
+
+let entities = JSON.parse(
+    fs.readFileSync(new URL('../src/entities.json', import.meta.url))
+);
+
+test('every puzzle comes back from its code as it went in', () => {
+    Object.keys(entities).filter(id => (
+        entities[id].puzzle !== undefined && entities[id].puzzle.grid.length > 0
+    )).forEach(id => {
+        let {grid, taps, cols = 6, rows = 6} = entities[id].puzzle;
+        let shared = share.encode({...entities[id].puzzle, name: id});
+        assert.equal(shared.valid, true, id + ': ' + shared.reason);
+        let result = share.decode(shared.code);
+        assert.equal(result.valid, true, id + ': ' + result.reason);
+        assert.deepEqual(result.puzzle, {grid, taps, cols, rows, name: id});
+    });
+});
+
+test('the code in the readme plays', () => {
+    let result = share.decode('AGGE.IFAB.OBAH.I8');
+    assert.equal(result.valid, true);
+    let {grid, taps, cols, rows, name} = result.puzzle;
+    assert.deepEqual([taps, cols, rows, name], [4, 6, 6, undefined]);
+    assert.equal(grid.length, 36);
+    assert.deepEqual(
+        grid.map((key, i) => [i, key]).filter(([, key]) => key !== 0),
+        [[8, 5], [10, 1], [25, 1], [27, 7]]
+    );
+    assert.equal(share.encode(result.puzzle).code, 'AGGE.IFAB.OBAH.I8');
+});
+
+test('a typo is caught by the checksum', () => {
+    let code = 'AGGE.IFAB.OBAH.I8';
+    // every one character slip in the board
+    for (let k = 4; k < code.length - 1; k++) {
+        if (code[k] === '.') {
+            continue;
+        }
+        let slip = code.slice(0, k) + (code[k] === 'B' ? 'C' : 'B') + code.slice(k + 1);
+        assert.equal(share.decode(slip).reason, 'The code has a typo', slip);
+    }
+    assert.equal(share.decode('AGGE.IFAB.OBAH.I9').reason, 'The code has a typo');
+});
+
+test('long runs of empty tiles split into runs that fit', () => {
+    // 99 empty tiles then a blank square
+    let grid = new Array(100).fill(0);
+    grid[99] = 2;
+    let shared = share.encode({grid, taps: 1, cols: 10, rows: 10});
+    assert.equal(shared.valid, true);
+    assert.equal(shared.code.split('.').length - 1, 2);
+    assert.deepEqual(share.decode(shared.code).puzzle.grid, grid);
+    // and a board that is empty but for its first tile
+    grid = new Array(100).fill(0);
+    grid[0] = 2;
+    assert.deepEqual(
+        share.decode(share.encode({grid, taps: 1, cols: 10, rows: 10}).code).puzzle.grid,
+        grid
+    );
+});
+
+test('numbers above maxNumber can not be shared', () => {
+    let grid = new Array(36).fill(0);
+    grid[0] = 2;
+    let shared = share.encode({grid, taps: maxNumber, cols: 6, rows: 6});
+    assert.equal(shared.valid, true);
+    assert.equal(share.decode(shared.code).puzzle.taps, maxNumber);
+    assert.equal(share.encode({grid, taps: maxNumber + 1}).valid, false);
+    assert.equal(share.encode({grid, taps: 4, cols: maxNumber + 1, rows: 1}).valid, false);
+    let piece = grid.slice();
+    piece[0] = maxNumber + 1;
+    assert.equal(share.encode({grid: piece, taps: 4}).reason, 'The board has unknown pieces');
+    // a piece that fits the code but not the game
+    piece[0] = maxNumber;
+    let code = share.encode({grid: piece, taps: 4}).code;
+    assert.equal(share.decode(code).reason, 'The board has unknown pieces');
+});
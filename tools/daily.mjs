@@ -0,0 +1,42 @@
+/*
+ * make the pool of daily puzzles in src/daily.json, a list of share codes
+ * the game picks one from by date. Generating a board takes too long to
+ * do while the game is running, so they are made here:
+ *
+ *   npm run daily
+ *   npm run daily -- --count 400 --seed 7
+ *
+ * The same seed makes the same pool, the days go round it.
+ */
+
+import fs from 'fs';
+import generator from '../src/systems/generator.js';
+import share from '../src/systems/share.js';
+
+let args = {};
+process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+        args[arg.slice(2)] = argv[i + 1];
+    }
+});
+
+let count = Number(args.count || 366);
+let seed = Number(args.seed || 1);
+
+// a bit more to do than the generator's defaults
+let options = {pieces: [4, 7], minTaps: 5};
+
+let codes = [];
+for (let k = 0; codes.length < count; k++) {
+    // a seed that comes up empty just moves on to the next one
+    let made = generator.generate({...options, seed: seed * 100000 + k});
+    if (made !== undefined) {
+        codes.push(share.encode(made.puzzle).code);
+    }
+}
+
+fs.writeFileSync(
+    new URL('../src/daily.json', import.meta.url),
+    JSON.stringify(codes, null, 2) + '\n'
+);
+console.log(codes.length + ' daily puzzles');
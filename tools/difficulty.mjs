@@ -0,0 +1,102 @@
+/*
+ * how hard every board in levels.sequence of src/entities.json is, from
+ * its move graph, in the order players meet them:
+ *
+ *   npm run difficulty
+ *   npm run difficulty -- reports/*.json
+ *
+ * Columns: winning tap sequences, the share of dead end states, legal
+ * moves per state and the first move a wrong tap can ruin (- when none
+ * can). Analytics reports, as AnalyticsManager sends them (one or a list
+ * per file), add how often players lost each puzzle, summed from their
+ * perLevelAnalytics. Puzzles that rank 3 or more places off from where
+ * they are in the sequence, by graph score or by losses, are marked:
+ * < for harder than their place, > for easier.
+ */
+
+import fs from 'fs';
+import rules from '../src/systems/rules.js';
+import solver from '../src/systems/solver.js';
+import generator from '../src/systems/generator.js';
+
+let entities = JSON.parse(
+    fs.readFileSync(new URL('../src/entities.json', import.meta.url))
+);
+
+let off = 3;
+
+// wins and losses by puzzle name, level ids are level_<index>_<name>
+let played = {};
+process.argv.slice(2).forEach(file => {
+    let reports = [].concat(JSON.parse(fs.readFileSync(file)));
+    reports.forEach(report => {
+        let levels = report.perLevelAnalytics || {};
+        Object.keys(levels).forEach(levelId => {
+            let name = levelId.replace(/^level_\d+_/, '');
+            let stats = played[name] || {attempts: 0, wins: 0, losses: 0};
+            stats.attempts = stats.attempts + (levels[levelId].attempts || 0);
+            stats.wins = stats.wins + (levels[levelId].wins || 0);
+            stats.losses = stats.losses + (levels[levelId].losses || 0);
+            played[name] = stats;
+        });
+    });
+});
+
+let rows = entities.game.levels.sequence.filter(id => (
+    entities[id].puzzle.grid.length > 0
+)).map(id => {
+    let puzzle = entities[id].puzzle;
+    let board = rules.create(puzzle.grid, puzzle);
+    let graph = solver.explore(board, puzzle.taps);
+    let stats = played[id];
+    return {
+        id,
+        taps: puzzle.taps,
+        difficulty: generator.grade(board, puzzle.taps, graph),
+        lost: (stats === undefined || stats.attempts === 0)
+            ? undefined
+            : stats.losses / stats.attempts,
+        attempts: (stats === undefined) ? 0 : stats.attempts
+    };
+});
+
+// < or > for rows that rank off from their place in the sequence, easiest
+// first, among the rows that have a value at all
+let marks = (value) => {
+    let known = rows.filter(row => value(row) !== undefined);
+    let ranked = known.slice().sort((a, b) => value(a) - value(b));
+    let out = {};
+    known.forEach((row, k) => {
+        let place = ranked.indexOf(row);
+        out[row.id] = (place - k >= off) ? '<' : (k - place >= off) ? '>' : ' ';
+    });
+    return out;
+};
+
+let byScore = marks(row => row.difficulty.score);
+let byLosses = marks(row => row.lost);
+
+let percent = (share) => Math.round(share * 100) + '%';
+
+console.log(
+    '#'.padEnd(4) + 'puzzle'.padEnd(12) + 'taps'.padEnd(6) + 'paths'.padEnd(11)
+    + 'dead'.padEnd(6) + 'branch'.padEnd(8) + 'trap'.padEnd(6)
+    + 'grade'.padEnd(9) + 'lost'
+);
+rows.forEach((row, k) => {
+    let d = row.difficulty;
+    let lost = (row.lost === undefined)
+        ? '-'
+        : percent(row.lost) + ' of ' + row.attempts;
+    console.log(
+        String(k + 1).padEnd(4)
+        + row.id.padEnd(12)
+        + String(row.taps).padEnd(6)
+        + String(d.paths).padEnd(11)
+        + percent(d.deadEnds / d.states).padEnd(6)
+        + String(d.branching).padEnd(8)
+        + ((d.trap < 0) ? '-' : String(d.trap)).padEnd(6)
+        + (d.grade + byScore[row.id]).padEnd(9)
+        + (lost + ' ' + (byLosses[row.id] || '')).trimEnd()
+    );
+});
@@ -0,0 +1,71 @@
+/*
+ * generate new puzzles, printed as entities ready to paste into
+ * src/entities.json (the difficulty of each goes to stderr):
+ *
+ *   npm run generate
+ *   npm run generate -- --count 5 --seed 42 --grade hard --pieces 6-9 --max-taps 12
+ *
+ * Every puzzle is named after its seed, so gen42 can be made again with
+ * --seed 42. Other options: --blackholes, --solutions (1 for unique
+ * ones) and --tries.
+ */
+
+import generator from '../src/systems/generator.js';
+import format from '../src/systems/format.js';
+
+let args = {};
+process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+        args[arg.slice(2)] = argv[i + 1];
+    }
+});
+
+// '5-8' or just '5'
+let range = (value, fallback) => {
+    if (value === undefined) {
+        return fallback;
+    }
+    let [min, max = min] = value.split('-').map(Number);
+    return [min, max];
+};
+
+let count = Number(args.count || 1);
+let seed = (args.seed === undefined)
+    ? Date.now() % 1000000
+    : Number(args.seed);
+let options = {
+    grade: args.grade,
+    pieces: range(args.pieces, generator.defaults.pieces),
+    blackholes: range(args.blackholes, generator.defaults.blackholes),
+    maxTaps: Number(args['max-taps'] || generator.defaults.maxTaps),
+    maxSolutions: Number(args.solutions || generator.defaults.maxSolutions),
+    tries: Number(args.tries || generator.defaults.tries)
+};
+
+let entities = {};
+let failed = 0;
+for (let k = 0; k < count; k++) {
+    let id = 'gen' + (seed + k);
+    let made = generator.generate({...options, seed: seed + k});
+    if (made === undefined) {
+        console.error(id.padEnd(12) + 'nothing found in ' + options.tries + ' tries');
+        failed = failed + 1;
+        continue;
+    }
+    let d = made.difficulty;
+    console.error(
+        id.padEnd(12)
+        + ('taps ' + made.puzzle.taps).padEnd(9)
+        + d.grade.padEnd(8)
+        + 'score ' + d.score
+        + ', branching ' + d.branching
+        + ', dead ends ' + d.deadEnds + '/' + d.states
+    );
+    entities[id] = {puzzle: made.puzzle};
+}
+
+console.log(format.stringify(entities));
+
+if (failed > 0) {
+    process.exit(1);
+}
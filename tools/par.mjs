@@ -0,0 +1,120 @@
+/*
+ * work out the par (fewest taps that clean it) of every puzzle in
+ * src/entities.json and the packs in src/packs, and write it next to its
+ * taps where it is off, with a solution of that many taps for hints to
+ * follow:
+ *
+ *   npm run par
+ *   npm run par -- --check    (only report, exit 1 when one is off)
+ *
+ * A build doesn't change the source, its validate fails on a par that
+ * is off, this fixes it.
+ */
+
+import fs from 'fs';
+import rules from '../src/systems/rules.js';
+import solver from '../src/systems/solver.js';
+
+let check = process.argv.includes('--check');
+let failed = 0;
+
+// a stored solution that cleans the puzzle in par taps
+let solves = (puzzle, par) => Array.isArray(puzzle.solution)
+    && puzzle.solution.length === par
+    && solver.routeTap(
+        rules.create(puzzle.grid, puzzle),
+        puzzle.solution,
+        rules.create(puzzle.grid, puzzle),
+        par
+    ) !== undefined;
+
+// {par, solution} of the puzzles where they are off, by puzzle id,
+// reported with prefix
+let offPars = (prefix, puzzles) => {
+    let pars = {};
+    puzzles.forEach(([id, puzzle]) => {
+        if (puzzle === undefined || puzzle.grid.length === 0) {
+            return;
+        }
+        let result = solver.solve(puzzle.grid, puzzle.taps, puzzle);
+        if (!result.solvable) {
+            console.log((prefix + id).padEnd(20) + 'UNSOLVABLE');
+            failed = failed + 1;
+            return;
+        }
+        if (puzzle.par !== result.par) {
+            console.log((prefix + id).padEnd(20) + 'par ' + puzzle.par + ' -> ' + result.par);
+        } else if (!solves(puzzle, result.par)) {
+            console.log((prefix + id).padEnd(20) + 'solution -> ' + result.solution.join(', '));
+        } else {
+            return;
+        }
+        pars[id] = {par: result.par, solution: result.solution};
+        if (check) {
+            failed = failed + 1;
+        }
+    });
+    return pars;
+};
+
+// edit the lines, so the rest of the hand made layout stays put. idLine
+// matches the line that starts a puzzle, its first group is the id
+let writePars = (file, source, pars, idLine) => {
+    if (check || Object.keys(pars).length === 0) {
+        return;
+    }
+    let id;
+    let lines = source.split('\n');
+    for (let k = 0; k < lines.length; k++) {
+        let top = lines[k].match(idLine);
+        if (top !== null) {
+            id = top[1];
+        }
+        let taps = lines[k].match(/^( *)"taps": (\d+)(,?)$/);
+        if (taps === null || pars[id] === undefined) {
+            continue;
+        }
+        let indent = taps[1];
+        // on the line at, or a new one there, with the comma the one before had
+        let put = (at, name, value) => {
+            let line = indent + '"' + name + '": ' + value;
+            if (lines[at].trim().startsWith('"' + name + '": ')) {
+                lines[at] = line + (lines[at].endsWith(',') ? ',' : '');
+            } else {
+                let comma = lines[at - 1].endsWith(',') ? ',' : '';
+                lines[at - 1] = lines[at - 1].replace(/,?$/, ',');
+                lines.splice(at, 0, line + comma);
+            }
+        };
+        put(k + 1, 'par', pars[id].par);
+        put(k + 2, 'solution', '[' + pars[id].solution.join(', ') + ']');
+    }
+    fs.writeFileSync(file, lines.join('\n'));
+};
+
+let file = new URL('../src/entities.json', import.meta.url);
+let source = fs.readFileSync(file, 'utf8');
+let entities = JSON.parse(source);
+writePars(
+    file,
+    source,
+    offPars('', Object.keys(entities).map(id => [id, entities[id].puzzle])),
+    /^ {2}"([^"]+)": \{/
+);
+
+let folder = new URL('../src/packs/', import.meta.url);
+fs.readdirSync(folder).filter(name => name.endsWith('.json')).forEach(name => {
+    let file = new URL(name, folder);
+    let source = fs.readFileSync(file, 'utf8');
+    let pack = JSON.parse(source);
+    writePars(
+        file,
+        source,
+        offPars(pack.id + ':', pack.puzzles.map(puzzle => [puzzle.id, puzzle])),
+        /^ *"id": "([^"]+)"/
+    );
+});
+
+if (failed > 0) {
+    process.exit(1);
+}
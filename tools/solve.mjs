@@ -0,0 +1,56 @@
+/*
+ * solve every puzzle in src/entities.json, or just the ones named:
+ *
+ *   npm run solve
+ *   npm run solve -- turmoil swivel
+ *
+ * Exits with 1 when a puzzle can't be cleaned within its taps.
+ */
+
+import fs from 'fs';
+import solver from '../src/systems/solver.js';
+
+let entities = JSON.parse(
+    fs.readFileSync(new URL('../src/entities.json', import.meta.url))
+);
+
+let names = process.argv.slice(2);
+let verbose = names.length > 0;
+if (!verbose) {
+    names = Object.keys(entities).filter(id => (
+        entities[id].puzzle !== undefined
+        && entities[id].puzzle.grid.length > 0
+    ));
+}
+
+let failed = 0;
+names.forEach(id => {
+    if (entities[id] === undefined || entities[id].puzzle === undefined) {
+        console.log(id.padEnd(12) + 'no such puzzle');
+        failed = failed + 1;
+        return;
+    }
+    let puzzle = entities[id].puzzle;
+    let result = solver.solve(puzzle.grid, puzzle.taps, puzzle);
+    let line = id.padEnd(12)
+        + ('taps ' + puzzle.taps).padEnd(9)
+        + ('states ' + result.states).padEnd(15);
+    if (result.solvable) {
+        line = line + 'par ' + result.par;
+    } else {
+        line = line + 'UNSOLVABLE';
+        failed = failed + 1;
+    }
+    console.log(line);
+    if (verbose && result.solvable) {
+        console.log('  optimal  ' + result.solution.join(' '));
+        result.solutions.forEach(solution => {
+            console.log('  ' + (solution.length + ' taps').padEnd(9) + solution.join(' '));
+        });
+    }
+});
+
+if (failed > 0) {
+    console.log(failed + ' puzzle(s) failed');
+    process.exit(1);
+}
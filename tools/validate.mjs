@@ -0,0 +1,131 @@
+/*
+ * check src/entities.json before it ships:
+ *
+ *   npm run validate
+ *
+ * Every puzzle in levels.sequence and levels.wm has to exist. Boards need
+ * a grid of cols * rows (36) known piece keys, positive taps and a way to
+ * be cleaned within them, and a par, when they have one, that is what the
+ * solver gets. A solution, for hints to follow, has to clean the board in
+ * par taps. Text screens need rT, the word for swiping on, and the
+ * first screen of a sequence and one-off screens need lT too, there is
+ * nothing to go back to. Bundled packs in src/packs go through the pack
+ * validation, then every board in them gets the same checks, solver and
+ * par included.
+ *
+ * Exits with 1 and a list of what is wrong when anything is.
+ */
+
+import fs from 'fs';
+import rules from '../src/systems/rules.js';
+import solver from '../src/systems/solver.js';
+import packCheck from '../src/systems/packcheck.js';
+
+let entities = JSON.parse(
+    fs.readFileSync(new URL('../src/entities.json', import.meta.url))
+);
+
+let problems = [];
+let report = (id, problem) => problems.push(id.padEnd(16) + problem);
+
+let checkBoard = (id, puzzle) => {
+    let {cols = 6, rows = 6} = puzzle;
+    if (!Array.isArray(puzzle.grid) || puzzle.grid.length !== cols * rows) {
+        let length = Array.isArray(puzzle.grid) ? puzzle.grid.length : 0;
+        report(id, 'grid has ' + length + ' tiles, needs ' + cols * rows);
+        return;
+    }
+    let unknown = puzzle.grid.filter(key => (
+        !Number.isInteger(key) || key < 0 || key >= rules.names.length
+    ));
+    if (unknown.length > 0) {
+        report(id, 'unknown piece keys ' + unknown.join(', '));
+        return;
+    }
+    if (!Number.isInteger(puzzle.taps) || puzzle.taps < 1) {
+        report(id, 'taps should be a positive number, not ' + JSON.stringify(puzzle.taps));
+        return;
+    }
+    let board = rules.create(puzzle.grid, puzzle);
+    let result = solver.search(board, puzzle.taps);
+    if (!result.solvable) {
+        report(id, 'can\'t be cleaned in ' + puzzle.taps + ' taps');
+    } else if (puzzle.par !== undefined && puzzle.par !== result.par) {
+        report(id, 'par is ' + puzzle.par + ', can be cleaned in ' + result.par);
+    } else if (puzzle.solution !== undefined && (
+        puzzle.solution.length !== result.par
+        || solver.routeTap(board, puzzle.solution, board, result.par) === undefined
+    )) {
+        report(id, 'solution doesn\'t clean it in ' + result.par + ' taps');
+    }
+};
+
+let checkScreen = (id, puzzle, first) => {
+    // the daily screen fills itself in
+    if (puzzle.daily === true) {
+        return;
+    }
+    if (!Array.isArray(puzzle.text)) {
+        report(id, 'has no board and no text');
+        return;
+    }
+    if (!puzzle.rT) {
+        report(id, 'text screen needs rT');
+    }
+    if (!puzzle.lT && (first || puzzle.oneOff === true)) {
+        report(id, 'text screen needs lT');
+    }
+};
+
+let levels = entities.game.levels;
+let firsts = {};
+['sequence', 'wm'].forEach(name => {
+    levels[name].forEach((id, k) => {
+        if (entities[id] === undefined || entities[id].puzzle === undefined) {
+            report(id, 'is in levels.' + name + ' but not a puzzle');
+        } else if (k === 0) {
+            firsts[id] = true;
+        }
+    });
+});
+
+let count = 0;
+Object.keys(entities).forEach(id => {
+    let puzzle = entities[id].puzzle;
+    if (puzzle === undefined) {
+        return;
+    }
+    count = count + 1;
+    if (Array.isArray(puzzle.grid) && puzzle.grid.length === 0) {
+        checkScreen(id, puzzle, firsts[id] === true);
+    } else {
+        checkBoard(id, puzzle);
+    }
+});
+
+let folder = new URL('../src/packs/', import.meta.url);
+fs.readdirSync(folder).filter(file => file.endsWith('.json')).forEach(file => {
+    let pack;
+    try {
+        pack = JSON.parse(fs.readFileSync(new URL(file, folder)));
+    } catch (error) {
+        report(file, error.message);
+        return;
+    }
+    let check = packCheck.validate(pack);
+    if (!check.valid) {
+        report(file, check.reason);
+        return;
+    }
+    pack.puzzles.forEach(puzzle => {
+        count = count + 1;
+        checkBoard(pack.id + ':' + puzzle.id, puzzle);
+    });
+});
+
+if (problems.length > 0) {
+    problems.forEach(problem => console.log(problem));
+    console.log(problems.length + ' problem(s) in ' + count + ' puzzles');
+    process.exit(1);
+}
+console.log(count + ' puzzles ok');